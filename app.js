@@ -1,34 +1,725 @@
-// Global variable to store tools data
+// Global variables to store data for each filterable page
 let TOOLS_DATA = [];
+let PROJECTS_DATA = [];
+let PROFILES_DATA = [];
+
+// Canonical tags, aliases and groupings from tags.json; empty until loadTagTaxonomy() runs
+let TAG_TAXONOMY = new TagTaxonomy();
+let tagTaxonomyRequest = null;
+
+// Entries that failed validation, keyed by page, with the reasons why
+const QUARANTINED_ENTRIES = {
+    tools: [],
+    projects: [],
+    profiles: []
+};
+
+// Sort orders available on filterable pages; "default" keeps file order, or relevance while searching
+const SORT_OPTIONS = {
+    default: { label: 'Default order', compare: null },
+    name: { label: 'Name (A–Z)', compare: (a, b) => a.name.localeCompare(b.name) },
+    category: { label: 'Category', compare: (a, b) => (a.category || '').localeCompare(b.category || '') || a.name.localeCompare(b.name) },
+    tags: { label: 'Most tags', compare: (a, b) => b.tags.length - a.tags.length || a.name.localeCompare(b.name) },
+    // Newest date_added first. Undated entries follow, latest in the file first, since new
+    // entries are appended to the data files.
+    recent: { label: 'Recently added', compare: (a, b) => (b.date_added || '').localeCompare(a.date_added || '') || b.position - a.position }
+};
+
+// Cards rendered per page in the flat layout; "Show more" reveals the next batch
+const PAGE_SIZE = 24;
+
+// Delay before a search runs, so typing doesn't re-filter on every keystroke
+const SEARCH_DEBOUNCE_MS = 200;
+
+// Most utilities that can be compared side by side
+const MAX_COMPARE_TOOLS = 4;
+
+// Version of the saved favorites and collections. Version 1 referenced utilities by name;
+// version 2 uses their ids, which stay the same when a utility is renamed.
+const COLLECTIONS_VERSION = 2;
+
+// Days a utility shows the "New" badge after its date_added
+const NEW_BADGE_DAYS = 30;
+
+// Additions and updates listed under What's New on the Home page
+const WHATS_NEW_COUNT = 5;
+
+// Tags in the Home page tag cloud, and the number of sizes they come in
+const TAG_CLOUD_SIZE = 30;
+const TAG_CLOUD_WEIGHTS = 5;
+
+// Matches of each kind listed by the Home page search as you type
+const QUICK_SEARCH_LIMIT = 5;
+
+// Route shown for hashes no other route matches
+const NOT_FOUND_ROUTE = 'not-found';
+
+// Most redirects before hooks for one navigation, so two hooks can't send it back and forth forever
+const MAX_ROUTE_REDIRECTS = 5;
+
+// localStorage key of the utilities editor flag (see isEditorEnabled)
+const EDITOR_FLAG_KEY = 'utilitiesEditor';
+
+// Longest export file name, before the extension
+const MAX_EXPORT_FILENAME = 80;
+
+// Formats the Utilities export menu offers. build() turns the current results and a header
+// describing the filters that produced them (see FilterManager.getExportHeader) into file text.
+const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown table', extension: 'md', type: 'text/markdown', build: buildMarkdownExport },
+    markdownList: { label: 'Markdown list', extension: 'md', type: 'text/markdown', build: buildMarkdownListExport },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', build: buildCsvExport },
+    json: { label: 'JSON (utilities.json)', extension: 'json', type: 'application/json', build: buildJsonExport },
+    bookmarks: { label: 'Browser bookmarks', extension: 'html', type: 'text/html', build: buildBookmarksExport },
+    opml: { label: 'OPML outline', extension: 'opml', type: 'text/x-opml', build: buildOpmlExport }
+};
+
+// Themes offered by the theme picker. `scheme` is the light/dark family a theme belongs to: it
+// selects the shared dark-mode styles and the git icon variants.
+const THEMES = {
+    light: { label: 'Light', icon: '☀️', scheme: 'light' },
+    dark: { label: 'Dark', icon: '🌙', scheme: 'dark' },
+    sepia: { label: 'Sepia', icon: '📜', scheme: 'light' },
+    oled: { label: 'OLED black', icon: '🌑', scheme: 'dark' },
+    'high-contrast': { label: 'High contrast', icon: '◐', scheme: 'dark' }
+};
+
+// Code hosts recognized in url_git, checked in order. A forge matches a URL when its host is in
+// `hosts` or matches `pattern`, which is how self-hosted instances are found. `icons` is keyed by
+// theme or color scheme, so a theme can override its scheme's variant.
+const FORGES = [
+    {
+        id: 'github',
+        label: 'GitHub',
+        hosts: ['github.com'],
+        icons: { light: './resources/github.png', dark: './resources/github-white.png' }
+    },
+    {
+        id: 'codeberg',
+        label: 'Codeberg',
+        hosts: ['codeberg.org'],
+        icons: { light: './resources/codeberg.svg', dark: './resources/codeberg-white.svg' }
+    },
+    {
+        id: 'forgejo',
+        label: 'Forgejo',
+        hosts: ['next.forgejo.org'],
+        pattern: /(^|\.)forgejo\./,
+        icons: { light: './resources/forgejo.svg', dark: './resources/forgejo-white.svg' }
+    },
+    {
+        id: 'gitea',
+        label: 'Gitea',
+        hosts: ['gitea.com'],
+        pattern: /(^|\.)gitea\./,
+        icons: { light: './resources/gitea.svg', dark: './resources/gitea-white.svg' }
+    },
+    {
+        id: 'sourcehut',
+        label: 'SourceHut',
+        hosts: ['sr.ht'],
+        pattern: /(^|\.)sr\.ht$/,
+        icons: { light: './resources/sourcehut.svg', dark: './resources/sourcehut-white.svg' }
+    },
+    {
+        id: 'bitbucket',
+        label: 'Bitbucket',
+        hosts: ['bitbucket.org'],
+        icons: { light: './resources/bitbucket.svg', dark: './resources/bitbucket-white.svg' }
+    },
+    {
+        id: 'gitlab',
+        label: 'GitLab',
+        // Self-hosted instances that don't have "gitlab" in their host name
+        hosts: ['gitlab.com', 'i2pgit.org', 'code.briarproject.org', 'salsa.debian.org', 'framagit.org'],
+        pattern: /(^|\.)gitlab\./,
+        icons: { light: './resources/gitlab.png', dark: './resources/gitlab-white.png', sepia: './resources/gitlab-black.png' }
+    }
+];
+
+// Used for any git URL no forge recognizes
+const GENERIC_FORGE = {
+    id: 'git',
+    label: 'Git',
+    hosts: [],
+    icons: { light: './resources/git.png', dark: './resources/git.png' }
+};
+
+// Cards that arrow keys move between
+const CARD_SELECTOR = '.tool-card, .project-card, .profile-card';
+
+// Second key of the "g <key>" shortcuts, mapped to the page it opens
+const GO_TO_SHORTCUTS = {
+    h: 'home',
+    p: 'projects',
+    r: 'profiles',
+    t: 'tools',
+    c: 'compare'
+};
+
+// How long "g" waits for the second key of a shortcut
+const SHORTCUT_PREFIX_TIMEOUT_MS = 1000;
+
+// Relative importance of each searchable field when ranking results
+const SEARCH_FIELD_WEIGHTS = {
+    name: 10,
+    tags: 6,
+    category: 4,
+    description: 2
+};
+
+// Replacements for characters that are unsafe in HTML text and quoted attribute values
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Filter instances (on window) that render each data file, so updated files can be reloaded
+const DATA_FILE_FILTERS = {
+    'utilities.json': ['toolsFilter'],
+    'projects.json': ['projectsFilter'],
+    'profiles.json': ['profilesFilter'],
+    'tags.json': ['toolsFilter', 'projectsFilter', 'profilesFilter']
+};
+
+// Display labels for the optional details on a utility's own page
+const PLATFORM_LABELS = {
+    windows: 'Windows',
+    macos: 'macOS',
+    linux: 'Linux',
+    android: 'Android',
+    ios: 'iOS',
+    web: 'Web',
+    'browser-extension': 'Browser extension'
+};
+
+const PRICING_LABELS = {
+    free: 'Free',
+    freemium: 'Free with paid plans',
+    paid: 'Paid'
+};
+
+// Structured facts about a utility that the Utilities page filters by, each a dropdown whose
+// options count the results they would give. The key is also the facet's hash parameter.
+// `values(item)` lists the values an item has, empty when the fact isn't recorded; `options`
+// fixes the order values are offered in (default: by label); `describe(value)` labels one.
+const FACETS = {
+    jurisdiction: {
+        label: 'Jurisdiction',
+        values: item => (item.jurisdiction ? [item.jurisdiction] : []),
+        describe: value => getRegionName(value) || value.toUpperCase()
+    },
+    license: {
+        label: 'License',
+        values: item => (item.license ? [item.license] : []),
+        describe: value => value
+    },
+    clients: {
+        label: 'Open-source clients',
+        values: item => getYesNo(item.open_source_clients),
+        options: ['yes', 'no'],
+        describe: value => (value === 'yes' ? 'Yes' : 'No')
+    },
+    server: {
+        label: 'Open-source server',
+        values: item => getYesNo(item.open_source_server),
+        options: ['yes', 'no'],
+        describe: value => (value === 'yes' ? 'Yes' : 'No')
+    },
+    audited: {
+        label: 'Security audit',
+        values: item => getYesNo(item.audited),
+        options: ['yes', 'no'],
+        describe: value => (value === 'yes' ? 'Audited' : 'Not audited')
+    },
+    platform: {
+        label: 'Platform',
+        values: item => item.platforms || [],
+        options: PLATFORMS,
+        describe: value => PLATFORM_LABELS[value] || value
+    },
+    pricing: {
+        label: 'Pricing',
+        values: item => (item.pricing ? [item.pricing] : []),
+        options: PRICING_MODELS,
+        describe: value => PRICING_LABELS[value] || value
+    }
+};
+
+// Tags that the facets above replaced, as [facet, value], so shared links that still filter by
+// them keep working
+const RETIRED_TAG_FACETS = {
+    swiss: ['jurisdiction', 'ch'],
+    belgium: ['jurisdiction', 'be']
+};
+
+// Most alternatives and related utilities listed on a utility's page
+const MAX_SIMILAR_TOOLS = 4;
+
+// Display labels for project status values, also used as their grouping category
+const PROJECT_STATUS_LABELS = {
+    active: 'Active',
+    maintained: 'Maintained',
+    experimental: 'Experimental',
+    archived: 'Archived'
+};
+
+// Generalized loader for the site's JSON data files
+// Invalid entries are skipped and returned as `quarantined`; a failed request or
+// malformed file throws so the page can show an error with a retry option.
+async function loadDataFile(url, schema) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    
+    const validation = validateEntries(data, schema);
+    if (validation.errors.length > 0) {
+        throw new Error(validation.errors.join('; '));
+    }
+    validation.quarantined.forEach(({ errors }) => errors.forEach(message => console.warn(`[App] Skipped ${url}: ${message}`)));
+    validation.warnings.forEach(message => console.warn(`[App] ${url}: ${message}`));
+    
+    return { entries: validation.valid, quarantined: validation.quarantined };
+}
+
+// Load tags.json once for all pages. The taxonomy only refines tags, so if it can't be loaded
+// the pages still work with the raw tags from each data file.
+function loadTagTaxonomy() {
+    if (!tagTaxonomyRequest) {
+        tagTaxonomyRequest = fetch('./tags.json')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const validation = validateTaxonomy(data);
+                if (validation.errors.length > 0) {
+                    throw new Error(validation.errors.join('; '));
+                }
+                TAG_TAXONOMY = new TagTaxonomy(data);
+                console.log(`[App] Loaded ${Object.keys(data.tags).length} tag definitions from tags.json`);
+            })
+            .catch(error => {
+                console.warn('[App] Using tags without a taxonomy, tags.json could not be loaded:', error);
+                TAG_TAXONOMY = new TagTaxonomy();
+            });
+    }
+    return tagTaxonomyRequest;
+}
 
 // Async function to load utilities.json
 async function loadUtilitiesData() {
     try {
-        const response = await fetch('./utilities.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        await loadTagTaxonomy();
+        const { entries, quarantined } = await loadDataFile('./utilities.json', UTILITY_SCHEMA);
+        QUARANTINED_ENTRIES.tools = quarantined;
         
-        // Transform data to match expected format and add IDs
-        TOOLS_DATA = data.map((tool, index) => ({
-            id: index + 1,
-            name: tool.name,
-            category: getCategoryFromTags(tool.tags),
-            tags: tool.tags,
-            description: tool.description,
-            url_project: tool.url_project,
-            url_git: tool.url_git
-        }));
+        // Transform data to match expected format. Pinned ids are claimed first, so a derived
+        // slug can't take one.
+        const slugs = new Set(entries.map(tool => tool.id).filter(Boolean));
+        TOOLS_DATA = entries.map((tool, index) => prepareTool(tool, index, slugs));
         
-        console.log(`[App] Loaded ${TOOLS_DATA.length} tools from utilities.json`);
+        console.log(`[App] Loaded ${TOOLS_DATA.length} tools from utilities.json (${quarantined.length} skipped)`);
         return TOOLS_DATA;
     } catch (error) {
         console.error('[App] Error loading utilities.json:', error);
-        // Fallback to empty array if loading fails
         TOOLS_DATA = [];
-        return TOOLS_DATA;
+        QUARANTINED_ENTRIES.tools = [];
+        throw error;
+    }
+}
+
+// A utilities.json entry in the form the site works with: canonical tags, its category, its
+// position in the file, defaults for the optional fields, and a slug that also serves as its id.
+// The slug is the entry's pinned id, or else its name made unique against `slugs`.
+function prepareTool(tool, position, slugs) {
+    const tags = TAG_TAXONOMY.normalize(tool.tags);
+    const slug = tool.id || uniqueSlug(slugify(tool.name), slugs);
+    return {
+        id: slug,
+        slug,
+        position,
+        name: tool.name,
+        category: getCategoryFromTags(tags),
+        tags,
+        description: tool.description,
+        url_project: tool.url_project,
+        url_git: tool.url_git,
+        forge: tool.url_git ? getForge(tool.url_git).id : '',
+        long_description: tool.long_description || '',
+        platforms: tool.platforms || [],
+        license: tool.license || '',
+        pricing: tool.pricing || '',
+        jurisdiction: tool.jurisdiction || '',
+        // true, false, or null when not recorded
+        open_source_clients: typeof tool.open_source_clients === 'boolean' ? tool.open_source_clients : null,
+        open_source_server: typeof tool.open_source_server === 'boolean' ? tool.open_source_server : null,
+        audited: typeof tool.audited === 'boolean' ? tool.audited : null,
+        date_added: tool.date_added || '',
+        date_updated: tool.date_updated || '',
+        broken_links: tool.broken_links || []
+    };
+}
+
+// A yes/no fact as facet values: ['yes'], ['no'], or none when it isn't recorded
+function getYesNo(value) {
+    return typeof value === 'boolean' ? [value ? 'yes' : 'no'] : [];
+}
+
+// The Atom feed of new utilities linked from the page's head, or '' when there is none. Only the
+// pre-render build (scripts/prerender.js) writes the feeds and adds those links.
+function getFeedLink() {
+    const link = document.querySelector('link[rel="alternate"][type="application/atom+xml"]');
+    return link ? link.getAttribute('href') : '';
+}
+
+// Whether a utility was added within the last NEW_BADGE_DAYS days
+function isRecentlyAdded(tool, now = new Date()) {
+    if (!tool.date_added) return false;
+    const age = now - new Date(`${tool.date_added}T00:00:00`);
+    return age >= 0 && age < NEW_BADGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// The most recent additions and updates, newest first, as { tool, change: 'added' | 'updated', date }.
+// A utility appears once, for its latest change.
+function getRecentChanges(tools, limit) {
+    return tools
+        .filter(tool => tool.date_added || tool.date_updated)
+        .map(tool => (tool.date_updated > tool.date_added
+            ? { tool, change: 'updated', date: tool.date_updated }
+            : { tool, change: 'added', date: tool.date_added }))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.tool.position - a.tool.position)
+        .slice(0, limit);
+}
+
+// The utility spotlighted on a given day. Each day moves one further through the list, so every
+// visitor sees the same one and every utility gets its turn.
+function getDailySpotlight(tools, date = new Date()) {
+    if (tools.length === 0) return null;
+    // Days are counted in UTC, so the spotlight changes at the same moment in every time zone
+    const day = Math.floor(date.getTime() / (24 * 60 * 60 * 1000));
+    return tools[day % tools.length];
+}
+
+// The most used tags as { tag, count, weight }, ordered by label. Weight runs from 1 to
+// TAG_CLOUD_WEIGHTS on a log scale, so a few very common tags don't make the rest look alike.
+function getTagCloud(tools, size = TAG_CLOUD_SIZE) {
+    const counts = new Map();
+    tools.forEach(tool => tool.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const top = Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, size);
+    const max = top.length > 0 ? top[0][1] : 1;
+    return top
+        .map(([tag, count]) => ({
+            tag,
+            count,
+            weight: max === 1 ? 1 : 1 + Math.round((TAG_CLOUD_WEIGHTS - 1) * Math.log(count) / Math.log(max))
+        }))
+        .sort((a, b) => TAG_TAXONOMY.getLabel(a.tag).localeCompare(TAG_TAXONOMY.getLabel(b.tag)));
+}
+
+async function loadProjectsData() {
+    try {
+        await loadTagTaxonomy();
+        const { entries, quarantined } = await loadDataFile('./projects.json', PROJECT_SCHEMA);
+        QUARANTINED_ENTRIES.projects = quarantined;
+        
+        PROJECTS_DATA = entries.map((project, index) => ({
+            ...project,
+            id: index + 1,
+            position: index,
+            tags: TAG_TAXONOMY.normalize(project.tags),
+            category: PROJECT_STATUS_LABELS[project.status]
+        }));
+        
+        console.log(`[App] Loaded ${PROJECTS_DATA.length} projects from projects.json (${quarantined.length} skipped)`);
+        return PROJECTS_DATA;
+    } catch (error) {
+        console.error('[App] Error loading projects.json:', error);
+        PROJECTS_DATA = [];
+        QUARANTINED_ENTRIES.projects = [];
+        throw error;
+    }
+}
+
+async function loadProfilesData() {
+    try {
+        await loadTagTaxonomy();
+        const { entries, quarantined } = await loadDataFile('./profiles.json', PROFILE_SCHEMA);
+        QUARANTINED_ENTRIES.profiles = quarantined;
+        
+        PROFILES_DATA = entries.map((profile, index) => ({
+            ...profile,
+            id: index + 1,
+            position: index,
+            tags: TAG_TAXONOMY.normalize(profile.tags),
+            category: profile.status ? PROJECT_STATUS_LABELS[profile.status] : ''
+        }));
+        
+        console.log(`[App] Loaded ${PROFILES_DATA.length} profiles from profiles.json (${quarantined.length} skipped)`);
+        return PROFILES_DATA;
+    } catch (error) {
+        console.error('[App] Error loading profiles.json:', error);
+        PROFILES_DATA = [];
+        QUARANTINED_ENTRIES.profiles = [];
+        throw error;
+    }
+}
+
+// Format a YYYY-MM-DD date as e.g. "Mar 2024"
+function formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+// Format a YYYY-MM-DD date as e.g. "Mar 5, 2024"
+function formatDay(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// URL-safe form of a name for detail page paths, e.g. "Proton VPN" -> "proton-vpn"
+function slugify(text) {
+    return String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+}
+
+// Decode a percent-encoded part of a hash path, leaving malformed escapes as typed
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+// Add a numeric suffix to a slug already in `taken`, and record the result
+function uniqueSlug(slug, taken) {
+    let candidate = slug;
+    for (let suffix = 2; taken.has(candidate); suffix++) {
+        candidate = `${slug}-${suffix}`;
+    }
+    taken.add(candidate);
+    return candidate;
+}
+
+// Escape a value for interpolation into HTML text or a quoted attribute. Every piece of data
+// from the JSON files or user input must pass through this (or safeUrl) before rendering.
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Escaped href for a link from the data files. Only http(s) URLs are allowed, so a
+// javascript: or data: URL can't run script when clicked.
+function safeUrl(url) {
+    return isHttpUrl(url) ? escapeHtml(url) : '#';
+}
+
+// Read a message out to screen readers through the page's polite live region
+function announce(message) {
+    const liveRegion = document.getElementById('live-region');
+    if (!liveRegion) return;
+    
+    // Clear first so repeating the same message is still announced
+    liveRegion.textContent = '';
+    setTimeout(() => {
+        liveRegion.textContent = message;
+    }, 50);
+}
+
+// Which event triggers an element's data-action: forms on submit, selects, checkboxes and
+// file inputs on change, other inputs and textareas as the user types, and everything else on click
+function getActionEvent(element) {
+    if (element.tagName === 'FORM') return 'submit';
+    if (element.tagName === 'SELECT' || element.type === 'checkbox' || element.type === 'file') return 'change';
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') return 'input';
+    return 'click';
+}
+
+// The utilities editor is for curating utilities.json rather than for visitors, so it stays
+// hidden until the site is opened with "?editor=on" in the URL, which is remembered in this
+// browser until "?editor=off"
+function isEditorEnabled() {
+    const value = new URLSearchParams(window.location.search).get('editor');
+    if (value === 'on' || value === 'off') {
+        localStorage.setItem(EDITOR_FLAG_KEY, value);
+    }
+    return localStorage.getItem(EDITOR_FLAG_KEY) === 'on';
+}
+
+// Save text as a file through a temporary download link
+function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Summary line for the top of an export, e.g. "12 of 37 utilities, exported on 2024-03-01"
+function describeExport(header) {
+    return `${header.count} of ${header.total} ${header.title.toLowerCase()}, exported on ${header.exported.slice(0, 10)}`;
+}
+
+// Markdown table cells can't contain pipes or line breaks, and brackets would break link text
+function escapeMarkdownCell(value) {
+    return String(value).replace(/\s*\n\s*/g, ' ').replace(/([|[\]\\])/g, '\\$1');
+}
+
+// The heading, summary and filter list both Markdown exports start with
+function buildMarkdownHeader(header) {
+    return [
+        `# ${header.title}`,
+        '',
+        `${describeExport(header)} from <${header.link}>`,
+        '',
+        ...header.filters.map(([label, value]) => `- **${label}:** ${escapeMarkdownCell(value)}`),
+        ...(header.filters.length > 0 ? [''] : [])
+    ];
+}
+
+// A Markdown table of the results, under a heading and a list of the filters used
+function buildMarkdownExport(tools, header) {
+    const cell = escapeMarkdownCell;
+    const rows = tools.map(tool => [
+        `[${cell(tool.name)}](${tool.url_project})`,
+        cell(tool.category || ''),
+        cell(tool.description),
+        tool.tags.map(tag => `\`${tag}\``).join(' '),
+        tool.url_git ? `[${cell(getForge(tool.url_git).label)}](${tool.url_git})` : ''
+    ]);
+
+    return [
+        ...buildMarkdownHeader(header),
+        '| Name | Category | Description | Tags | Source |',
+        '| --- | --- | --- | --- | --- |',
+        ...rows.map(row => `| ${row.join(' | ')} |`),
+        ''
+    ].join('\n');
+}
+
+// A Markdown bullet list of the results, one linked name and description per line, for
+// pasting into prose where a table would be too wide
+function buildMarkdownListExport(tools, header) {
+    const text = value => String(value).replace(/\s*\n\s*/g, ' ');
+    return [
+        ...buildMarkdownHeader(header),
+        ...tools.map(tool => `- [${escapeMarkdownCell(tool.name)}](${tool.url_project}): ${text(tool.description)}`),
+        ''
+    ].join('\n');
+}
+
+// CSV with a header row and one row per result. Spreadsheets read every line as a row, so the
+// filters are left to the file name (see FilterManager.getExportFilename). Cells starting with
+// a character a spreadsheet would read as a formula are prefixed with an apostrophe.
+function buildCsvExport(tools) {
+    const field = value => {
+        const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const columns = ['name', 'category', 'description', 'tags', 'url_project', 'url_git', 'platforms', 'license', 'pricing', 'jurisdiction', 'open_source_clients', 'open_source_server', 'audited'];
+    const lines = [
+        columns.join(','),
+        ...tools.map(tool => columns
+            .map(column => Array.isArray(tool[column]) ? tool[column].join(' ') : typeof tool[column] === 'boolean' ? String(tool[column]) : tool[column] || '')
+            .map(field)
+            .join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// The results as utilities.json entries, wrapped with the export header. Only the fields in
+// UTILITY_SCHEMA are kept, so the entries can be pasted back into utilities.json.
+function buildJsonExport(tools, header) {
+    const fields = Object.keys(UTILITY_SCHEMA.fields);
+    const utilities = tools.map(tool => {
+        const entry = {};
+        fields.forEach(field => {
+            const value = tool[field];
+            // false is kept: it records "no", where a missing field means "not known"
+            if (Array.isArray(value) ? value.length > 0 : value || value === false) entry[field] = value;
+        });
+        return entry;
+    });
+
+    return `${JSON.stringify({
+        title: header.title,
+        exported: header.exported,
+        link: header.link,
+        filters: Object.fromEntries(header.filters),
+        utilities
+    }, null, 2)}\n`;
+}
+
+// A Netscape bookmark file, the format browsers import and export bookmarks in, with the
+// results in one folder named after the export
+function buildBookmarksExport(tools, header) {
+    const addDate = Math.floor(Date.parse(header.exported) / 1000);
+    const summary = [describeExport(header), ...header.filters.map(([label, value]) => `${label}: ${value}`)].join(' · ');
+
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        `<TITLE>${escapeHtml(header.title)}</TITLE>`,
+        `<H1>${escapeHtml(header.title)}</H1>`,
+        '<DL><p>',
+        `    <DT><H3 ADD_DATE="${addDate}">${escapeHtml(header.title)}</H3>`,
+        `    <DD>${escapeHtml(summary)}`,
+        '    <DL><p>',
+        ...tools.map(tool => [
+            `        <DT><A HREF="${safeUrl(tool.url_project)}" ADD_DATE="${addDate}" TAGS="${escapeHtml(tool.tags.join(','))}">${escapeHtml(tool.name)}</A>`,
+            `        <DD>${escapeHtml(tool.description)}`
+        ].join('\n')),
+        '    </DL><p>',
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
+
+// An OPML 2.0 outline of the results as links, the format outliners and feed readers import.
+// The results sit under one outline named after the export, like the bookmarks folder.
+function buildOpmlExport(tools, header) {
+    const summary = [describeExport(header), ...header.filters.map(([label, value]) => `${label}: ${value}`)].join(' · ');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '    <head>',
+        `        <title>${escapeHtml(header.title)}</title>`,
+        `        <dateCreated>${new Date(header.exported).toUTCString()}</dateCreated>`,
+        '    </head>',
+        '    <body>',
+        `        <outline text="${escapeHtml(header.title)}" description="${escapeHtml(summary)}" url="${escapeHtml(header.link)}" type="link">`,
+        ...tools.map(tool => `            <outline text="${escapeHtml(tool.name)}" type="link" url="${safeUrl(tool.url_project)}" description="${escapeHtml(tool.description)}" category="${escapeHtml(tool.tags.map(tag => `/${tag}`).join(','))}"/>`),
+        '        </outline>',
+        '    </body>',
+        '</opml>',
+        ''
+    ].join('\n');
+}
+
+// Add a forge to the registry. It is checked before the built-in forges, so it can also
+// claim hosts one of them would match.
+function registerForge(forge) {
+    FORGES.unshift({ hosts: [], ...forge });
+}
+
+// The forge hosting a git URL, or GENERIC_FORGE if none matches
+function getForge(gitUrl) {
+    let host;
+    try {
+        host = new URL(gitUrl).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return GENERIC_FORGE;
     }
+    return FORGES.find(forge => forge.hosts.includes(host) || (forge.pattern && forge.pattern.test(host))) || GENERIC_FORGE;
 }
 
 // Helper function to determine category from tags
@@ -46,11 +737,161 @@ function getCategoryFromTags(tags) {
     return 'Privacy & Security';
 }
 
+class SearchEngine {
+    constructor(fieldWeights = SEARCH_FIELD_WEIGHTS) {
+        this.fieldWeights = fieldWeights;
+        this.index = new WeakMap();
+    }
+
+    // Split a query into plain terms, "quoted phrases" and -excluded terms
+    parseQuery(query) {
+        const parsed = { terms: [], phrases: [], excluded: [] };
+        const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+        let match;
+        
+        while ((match = pattern.exec(query.toLowerCase())) !== null) {
+            const isExcluded = Boolean(match[1] || match[3]);
+            const tokens = this.tokenize(match[2] !== undefined ? match[2] : match[4]);
+            if (tokens.length === 0) continue;
+            
+            if (isExcluded) {
+                parsed.excluded.push(tokens.join(' '));
+            } else if (match[2] !== undefined) {
+                parsed.phrases.push(tokens.join(' '));
+            } else {
+                parsed.terms.push(...tokens);
+            }
+        }
+        
+        return parsed;
+    }
+
+    tokenize(text) {
+        return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    getFields(tool) {
+        if (!this.index.has(tool)) {
+            const fields = {};
+            Object.keys(this.fieldWeights).forEach(field => {
+                // Tags are also found by their display label and aliases, e.g. "chat" finds "messaging"
+                const values = field === 'tags' ? tool.tags.flatMap(tag => TAG_TAXONOMY.getSearchTerms(tag)) : tool[field];
+                const value = Array.isArray(values) ? values.join(' ') : String(values || '');
+                const tokens = this.tokenize(value);
+                // Normalized text lets "open source" match the tag "open-source"
+                fields[field] = { text: tokens.join(' '), tokens: Array.from(new Set(tokens)) };
+            });
+            this.index.set(tool, fields);
+        }
+        return this.index.get(tool);
+    }
+
+    // Score how well a single term matches a token: exact > prefix > substring > typo
+    scoreToken(term, token) {
+        if (token === term) return 1;
+        if (token.startsWith(term)) return 0.8;
+        if (term.length >= 3 && token.includes(term)) return 0.6;
+        
+        const maxEdits = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxEdits === 0 || Math.abs(token.length - term.length) > maxEdits) return 0;
+        
+        const distance = this.editDistance(term, token, maxEdits);
+        return distance <= maxEdits ? 0.5 - (distance - 1) * 0.15 : 0;
+    }
+
+    // Levenshtein distance, giving up once it exceeds maxDistance
+    editDistance(a, b, maxDistance) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+
+    matchTerm(term, fields) {
+        let best = { score: 0, tokens: [] };
+        
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            fields[field].tokens.forEach(token => {
+                const score = this.scoreToken(term, token) * weight;
+                if (score > best.score) {
+                    best = { score, tokens: [token] };
+                } else if (score > 0 && score === best.score) {
+                    best.tokens.push(token);
+                }
+            });
+        });
+        
+        return best;
+    }
+
+    matchPhrase(phrase, fields) {
+        let best = 0;
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            if (fields[field].text.includes(phrase)) {
+                best = Math.max(best, weight * 1.2);
+            }
+        });
+        return best;
+    }
+
+    isExcluded(fields, excluded) {
+        return excluded.some(value => Object.values(fields).some(field => field.text.includes(value)));
+    }
+
+    // Returns [{ tool, score, highlights }] for matching tools, most relevant first
+    search(tools, query) {
+        const { terms, phrases, excluded } = this.parseQuery(query);
+        const results = [];
+        
+        tools.forEach((tool, position) => {
+            const fields = this.getFields(tool);
+            if (this.isExcluded(fields, excluded)) return;
+            
+            let score = 0;
+            const highlights = new Set(phrases);
+            
+            for (const term of terms) {
+                const match = this.matchTerm(term, fields);
+                if (match.score === 0) return;
+                score += match.score;
+                match.tokens.forEach(token => highlights.add(token.includes(term) ? term : token));
+            }
+            
+            for (const phrase of phrases) {
+                const phraseScore = this.matchPhrase(phrase, fields);
+                if (phraseScore === 0) return;
+                score += phraseScore;
+            }
+            
+            results.push({ tool, score, position, highlights: Array.from(highlights) });
+        });
+        
+        // Stable ordering: ties keep their original position
+        return results.sort((a, b) => b.score - a.score || a.position - b.position);
+    }
+}
+
+// Storage and media queries default to the browser's; tests pass their own
 class ThemeManager {
-    constructor() {
+    constructor({ storage = window.localStorage, matchMedia = query => window.matchMedia(query) } = {}) {
         this.debug = true; // Enable debug logging
+        this.storage = storage;
+        this.matchMedia = matchMedia;
         this.log('ThemeManager initializing...');
-        this.theme = this.getInitialTheme();
+        // 'system' follows the OS settings; anything else is a saved THEMES key
+        this.preference = this.getInitialPreference();
+        this.theme = this.resolveTheme(this.preference);
         this.init();
     }
 
@@ -60,18 +901,28 @@ class ThemeManager {
         }
     }
 
-    getInitialTheme() {
-        const savedTheme = localStorage.getItem('theme');
-        const systemDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        const initialTheme = savedTheme || (systemDark ? 'dark' : 'light');
+    getInitialPreference() {
+        const savedTheme = this.storage.getItem('theme');
+        const preference = THEMES[savedTheme] ? savedTheme : 'system';
         
         this.log('Initial theme detection:', {
             savedTheme,
-            systemDark,
-            initialTheme
+            preference,
+            systemTheme: this.getSystemTheme()
         });
         
-        return initialTheme;
+        return preference;
+    }
+
+    // The theme the OS settings ask for: high contrast if more contrast is preferred,
+    // otherwise light or dark to match the color scheme
+    getSystemTheme() {
+        if (this.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+        return this.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    resolveTheme(preference) {
+        return preference === 'system' ? this.getSystemTheme() : preference;
     }
 
     init() {
@@ -88,15 +939,15 @@ class ThemeManager {
         this.log(`Applying theme: ${theme}`);
         this.theme = theme;
         
-        // Apply theme to document
+        // Apply theme and its light/dark family to document
         document.documentElement.setAttribute('data-theme', theme);
+        document.documentElement.setAttribute('data-color-scheme', THEMES[theme].scheme);
         document.body.setAttribute('data-theme', theme); // Backup for specificity
+        document.body.setAttribute('data-color-scheme', THEMES[theme].scheme);
         
-        // Save to localStorage
-        localStorage.setItem('theme', theme);
-        
-        // Update icon
+        // Update icon and menu
         this.updateToggleIcon();
+        this.renderMenu();
         
         // Update git icons if filter manager exists
         if (window.toolsFilter) {
@@ -106,9 +957,29 @@ class ThemeManager {
         this.log(`Theme applied successfully. Document data-theme: ${document.documentElement.getAttribute('data-theme')}`);
     }
 
+    // Choose a theme, or 'system' to clear the saved override and follow the OS again
+    setPreference(preference) {
+        if (preference !== 'system' && !THEMES[preference]) {
+            this.log(`Invalid theme: ${preference}. Use 'system' or one of ${Object.keys(THEMES).join(', ')}`);
+            return;
+        }
+        
+        this.preference = preference;
+        if (preference === 'system') {
+            this.storage.removeItem('theme');
+        } else {
+            this.storage.setItem('theme', preference);
+        }
+        this.applyTheme(this.resolveTheme(preference));
+    }
+
+    isDark() {
+        return THEMES[this.theme].scheme === 'dark';
+    }
+
     updateToggleIcon() {
         const themeIcon = document.querySelector('.theme-icon');
-        const newIcon = this.theme === 'dark' ? '☀️' : '🌙';
+        const newIcon = THEMES[this.theme].icon;
         
         if (themeIcon) {
             themeIcon.textContent = newIcon;
@@ -118,29 +989,84 @@ class ThemeManager {
         }
     }
 
+    renderMenu() {
+        const menu = document.getElementById('theme-menu');
+        if (!menu) return;
+        
+        const item = (value, icon, label) => `
+            <li role="none">
+                <button class="theme-menu-item" role="menuitemradio" aria-checked="${this.preference === value}" data-theme-choice="${value}">
+                    <span aria-hidden="true">${icon}</span> ${label}
+                </button>
+            </li>
+        `;
+        
+        menu.innerHTML = `
+            ${item('system', '🖥️', 'Follow system')}
+            <li role="separator" class="theme-menu-separator"></li>
+            ${Object.entries(THEMES).map(([value, theme]) => item(value, theme.icon, theme.label)).join('')}
+        `;
+    }
+
     setupToggle() {
         this.log('Setting up theme toggle...');
         
         // Try multiple times to ensure element exists
         const attemptSetup = (attempts = 0) => {
             const themeToggle = document.getElementById('theme-toggle');
+            const themeMenu = document.getElementById('theme-menu');
             
-            if (themeToggle) {
-                this.log('Theme toggle button found, adding event listener');
+            if (themeToggle && themeMenu) {
+                this.log('Theme toggle button found, adding event listeners');
                 
                 // Remove any existing listeners
                 themeToggle.removeEventListener('click', this.handleToggleClick);
+                themeMenu.removeEventListener('click', this.handleMenuClick);
+                themeMenu.removeEventListener('keydown', this.handleMenuKeydown);
+                document.removeEventListener('click', this.handleOutsideClick);
                 
-                // Add new listener with proper binding
+                // Add new listeners with proper binding
                 this.handleToggleClick = (e) => {
                     e.preventDefault();
                     e.stopPropagation();
                     this.log('Theme toggle clicked!');
-                    this.toggleTheme();
+                    this.setMenuOpen(themeMenu.hidden);
+                };
+                
+                this.handleMenuClick = (e) => {
+                    const choice = e.target.closest('[data-theme-choice]');
+                    if (choice) {
+                        this.setPreference(choice.dataset.themeChoice);
+                        this.setMenuOpen(false, true);
+                    }
+                };
+                
+                // Arrow keys move between items, Escape closes and returns to the toggle
+                this.handleMenuKeydown = (e) => {
+                    const items = Array.from(themeMenu.querySelectorAll('.theme-menu-item'));
+                    const index = items.indexOf(document.activeElement);
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        const step = e.key === 'ArrowDown' ? 1 : -1;
+                        items[(index + step + items.length) % items.length].focus();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        this.setMenuOpen(false, true);
+                    }
+                };
+                
+                this.handleOutsideClick = (e) => {
+                    if (!themeMenu.hidden && !e.target.closest('.theme-picker')) {
+                        this.setMenuOpen(false);
+                    }
                 };
                 
                 themeToggle.addEventListener('click', this.handleToggleClick);
-                this.log('Event listener attached successfully');
+                themeMenu.addEventListener('click', this.handleMenuClick);
+                themeMenu.addEventListener('keydown', this.handleMenuKeydown);
+                document.addEventListener('click', this.handleOutsideClick);
+                this.renderMenu();
+                this.log('Event listeners attached successfully');
                 
                 return true;
             } else {
@@ -160,32 +1086,48 @@ class ThemeManager {
         attemptSetup();
     }
 
+    setMenuOpen(isOpen, returnFocus = false) {
+        const themeToggle = document.getElementById('theme-toggle');
+        const themeMenu = document.getElementById('theme-menu');
+        if (!themeToggle || !themeMenu) return;
+        
+        themeMenu.hidden = !isOpen;
+        themeToggle.setAttribute('aria-expanded', String(isOpen));
+        
+        if (isOpen) {
+            const checked = themeMenu.querySelector('[aria-checked="true"]');
+            if (checked) checked.focus();
+        } else if (returnFocus) {
+            themeToggle.focus();
+        }
+    }
+
     setupMediaQuery() {
-        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-        this.log('Setting up media query listener for system theme changes');
+        this.log('Setting up media query listeners for system theme changes');
         
-        mediaQuery.addEventListener('change', (e) => {
-            if (!localStorage.getItem('theme')) {
-                this.log('System theme changed, updating theme:', e.matches ? 'dark' : 'light');
-                this.applyTheme(e.matches ? 'dark' : 'light');
-            }
+        // Only a "follow system" preference reacts; an explicit theme choice stays put
+        ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+            this.matchMedia(query).addEventListener('change', () => {
+                if (this.preference === 'system') {
+                    const systemTheme = this.getSystemTheme();
+                    this.log('System theme changed, updating theme:', systemTheme);
+                    this.applyTheme(systemTheme);
+                }
+            });
         });
     }
 
+    // Flip between the light and dark families (keyboard shortcut "t"); saved as an explicit choice
     toggleTheme() {
-        const newTheme = this.theme === 'dark' ? 'light' : 'dark';
+        const newTheme = this.isDark() ? 'light' : 'dark';
         this.log(`Toggling theme from ${this.theme} to ${newTheme}`);
-        this.applyTheme(newTheme);
+        this.setPreference(newTheme);
     }
 
     // Public method for manual testing
     setTheme(theme) {
-        if (theme === 'dark' || theme === 'light') {
-            this.log(`Manually setting theme to: ${theme}`);
-            this.applyTheme(theme);
-        } else {
-            this.log(`Invalid theme: ${theme}. Use 'light' or 'dark'`);
-        }
+        this.log(`Manually setting theme to: ${theme}`);
+        this.setPreference(theme);
     }
 
     // Reinitialize if needed (called after router setup)
@@ -196,107 +1138,853 @@ class ThemeManager {
     }
 }
 
-class FilterManager {
-    constructor() {
-        this.selectedTags = new Set();
-        this.allTags = [];
-        this.filteredTools = [];
-        this.searchQuery = '';
-        this.isLoaded = false;
+// Favorites and named personal collections of utilities, persisted in localStorage.
+// Tools are referenced by id (see prepareTool), so renaming a utility keeps it in both.
+class CollectionManager {
+    constructor(storageKey = 'collections') {
+        this.storageKey = storageKey;
+        this.items = [];
+        this.state = this.load();
     }
 
-    async initialize() {
-        if (!this.isLoaded) {
-            await loadUtilitiesData();
-            this.allTags = this.extractAllTags();
-            this.filteredTools = [...TOOLS_DATA];
-            this.isLoaded = true;
+    load() {
+        try {
+            return this.normalize(JSON.parse(localStorage.getItem(this.storageKey)));
+        } catch (error) {
+            console.warn('[CollectionManager] Ignoring unreadable saved collections:', error);
+            return this.normalize(null);
         }
     }
 
-    extractAllTags() {
-        const tags = new Set();
-        TOOLS_DATA.forEach(tool => {
-            tool.tags.forEach(tag => tags.add(tag));
-        });
-        return Array.from(tags).sort();
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
     }
 
-    toggleTag(tag) {
-        if (this.selectedTags.has(tag)) {
-            this.selectedTags.delete(tag);
-        } else {
-            this.selectedTags.add(tag);
+    // Coerce stored or imported data into { version, favorites: [ids], collections: { name: [ids] } }.
+    // Data without a version is from version 1 and lists names instead of ids (see migrate).
+    normalize(data) {
+        const toIds = list => Array.isArray(list) ? Array.from(new Set(list.filter(id => typeof id === 'string'))) : [];
+        const collections = {};
+        
+        if (data && typeof data.collections === 'object' && !Array.isArray(data.collections)) {
+            Object.entries(data.collections).forEach(([name, tools]) => {
+                if (name.trim()) collections[name.trim()] = toIds(tools);
+            });
         }
-        this.updateFilteredTools();
+        
+        return {
+            version: data && data.version === COLLECTIONS_VERSION ? COLLECTIONS_VERSION : 1,
+            favorites: toIds(data && data.favorites),
+            collections
+        };
     }
 
-    addTag(tag) {
-        if (tag && !this.selectedTags.has(tag)) {
-            this.selectedTags.add(tag);
-            this.updateFilteredTools();
-            // Reset dropdown to default
-            const dropdown = document.getElementById('tag-dropdown');
-            if (dropdown) {
-                dropdown.value = '';
-            }
+    // Rewrite version 1 data, which lists utilities by name, to their ids. Names no utility has
+    // any more are kept as they are, in case the utility comes back.
+    migrate(state) {
+        if (state.version === COLLECTIONS_VERSION) return state;
+        
+        const idsByName = new Map(this.items.map(item => [item.name, item.id]));
+        const toIds = list => Array.from(new Set(list.map(name => idsByName.get(name) || name)));
+        return {
+            version: COLLECTIONS_VERSION,
+            favorites: toIds(state.favorites),
+            collections: Object.fromEntries(Object.entries(state.collections).map(([name, tools]) => [name, toIds(tools)]))
+        };
+    }
+
+    // Called with the utilities once they are loaded, which is when saved names can be migrated
+    setItems(items) {
+        this.items = items;
+        if (this.state.version !== COLLECTIONS_VERSION) {
+            this.state = this.migrate(this.state);
+            this.save();
         }
     }
 
-    updateSearchQuery(query) {
+    isFavorite(toolId) {
+        return this.state.favorites.includes(toolId);
+    }
+
+    toggleFavorite(toolId) {
+        if (this.isFavorite(toolId)) {
+            this.state.favorites = this.state.favorites.filter(id => id !== toolId);
+        } else {
+            this.state.favorites.push(toolId);
+        }
+        this.save();
+    }
+
+    getCollectionNames() {
+        return Object.keys(this.state.collections).sort((a, b) => a.localeCompare(b));
+    }
+
+    getCollection(collectionName) {
+        return this.state.collections[collectionName] || [];
+    }
+
+    hasCollection(collectionName) {
+        return Object.prototype.hasOwnProperty.call(this.state.collections, collectionName);
+    }
+
+    createCollection(collectionName) {
+        const name = collectionName.trim();
+        if (!name || this.hasCollection(name)) return false;
+        this.state.collections[name] = [];
+        this.save();
+        return true;
+    }
+
+    deleteCollection(collectionName) {
+        delete this.state.collections[collectionName];
+        this.save();
+    }
+
+    toggleInCollection(collectionName, toolId) {
+        if (!this.hasCollection(collectionName)) return;
+        const tools = this.state.collections[collectionName];
+        this.state.collections[collectionName] = tools.includes(toolId)
+            ? tools.filter(id => id !== toolId)
+            : [...tools, toolId];
+        this.save();
+    }
+
+    export() {
+        return {
+            version: COLLECTIONS_VERSION,
+            exported: new Date().toISOString(),
+            favorites: this.state.favorites,
+            collections: this.state.collections
+        };
+    }
+
+    // Merge exported data into the saved state; returns the number of collections imported
+    import(data) {
+        if (!data || typeof data !== 'object' || (!Array.isArray(data.favorites) && typeof data.collections !== 'object')) {
+            throw new Error('File is not an exported collections file');
+        }
+        
+        const incoming = this.migrate(this.normalize(data));
+        this.state.favorites = Array.from(new Set([...this.state.favorites, ...incoming.favorites]));
+        Object.entries(incoming.collections).forEach(([name, tools]) => {
+            this.state.collections[name] = Array.from(new Set([...this.getCollection(name), ...tools]));
+        });
+        this.save();
+        
+        return Object.keys(incoming.collections).length;
+    }
+}
+
+// Search, tag and category filtering for a page of data-driven cards.
+// Defaults to the Utilities page; Projects and Profiles pass their own options.
+class FilterManager {
+    constructor({
+        page = 'tools',
+        instanceName = 'toolsFilter',
+        title = 'Utilities',
+        load = loadUtilitiesData,
+        renderCard = null,
+        gridClass = 'tools-grid',
+        collections = null,
+        comparable = false,
+        exportable = false
+    } = {}) {
+        this.page = page;
+        this.instanceName = instanceName;
+        this.title = title;
+        this.load = load;
+        this.customRenderCard = renderCard;
+        this.gridClass = gridClass;
+        this.collections = collections;
+        this.comparable = comparable;
+        this.exportable = exportable;
+        this.compareSelection = [];
+        this.favoritesOnly = false;
+        this.selectedCollection = '';
+        this.collectionMessage = '';
+        this.items = [];
+        this.selectedTags = new Map(); // tag -> 'include' | 'exclude'
+        this.tagMatchMode = 'all';
+        this.allTags = [];
+        this.filteredTools = [];
+        this.searchQuery = '';
+        this.searchEngine = new SearchEngine();
+        this.searchMatches = new Map();
+        this.selectedCategory = '';
+        this.selectedForge = '';
+        this.selectedFacets = {}; // facet -> value, see FACETS
+        this.sortOrder = 'default';
+        this.allCategories = [];
+        this.allForges = [];
+        this.facetValues = {}; // facet -> values any item has
+        // Results before facet filtering, which facet option counts are taken from
+        this.facetBase = [];
+        this.collapsedCategories = new Set();
+        this.visibleCount = PAGE_SIZE;
+        this.searchTimer = null;
+        // Markup each rendered element was built from, so unchanged cards can be kept as-is
+        this.renderedHtml = new WeakMap();
+        this.viewMode = localStorage.getItem(`${page}View`) === 'grouped' ? 'grouped' : 'flat';
+        this.isLoaded = false;
+        this.loadError = null;
+    }
+
+    async initialize() {
+        if (!this.isLoaded) {
+            try {
+                this.items = await this.load();
+            } catch (error) {
+                // Leave isLoaded false so the next render retries
+                this.loadError = error;
+                return;
+            }
+            this.loadError = null;
+            this.allTags = this.extractAllTags();
+            this.allCategories = this.extractAllCategories();
+            this.allForges = this.extractAllForges();
+            this.facetValues = this.extractFacetValues();
+            this.filteredTools = [...this.items];
+            this.facetBase = this.filteredTools;
+            if (this.collections) {
+                this.collections.setItems(this.items);
+            }
+            this.isLoaded = true;
+        }
+    }
+
+    async retryLoad() {
+        if (window.router) {
+            await window.router.renderPage(this.page);
+        }
+    }
+
+    // Tags used by any item, plus the taxonomy groups they belong to, ordered by display label
+    extractAllTags() {
+        const tags = new Set();
+        this.items.forEach(tool => {
+            tool.tags.forEach(tag => {
+                tags.add(tag);
+                TAG_TAXONOMY.getAncestors(tag).forEach(ancestor => tags.add(ancestor));
+            });
+        });
+        return Array.from(tags).sort((a, b) => TAG_TAXONOMY.getLabel(a).localeCompare(TAG_TAXONOMY.getLabel(b)));
+    }
+
+    extractAllCategories() {
+        const categories = new Set(this.items.map(tool => tool.category).filter(Boolean));
+        return Array.from(categories).sort();
+    }
+
+    // Forge ids used by any item's url_git, in registry order, plus "none" if some items have no
+    // public source. Empty when no item has a url_git, e.g. on the Projects page.
+    extractAllForges() {
+        const used = new Set(this.items.map(tool => tool.forge || 'none'));
+        if (!this.items.some(tool => tool.url_git)) return [];
+        return [...FORGES, GENERIC_FORGE].map(forge => forge.id)
+            .concat('none')
+            .filter(id => used.has(id));
+    }
+
+    // The values of each facet that some item has, in the facet's option order. Facets no item
+    // has a value for are left out, so pages without them, like Projects, show no dropdown.
+    extractFacetValues() {
+        const facetValues = {};
+        Object.entries(FACETS).forEach(([facet, { values, options, describe }]) => {
+            const used = new Set(this.items.flatMap(item => values(item)));
+            if (used.size === 0) return;
+            facetValues[facet] = options
+                ? options.filter(value => used.has(value))
+                : Array.from(used).sort((a, b) => describe(a).localeCompare(describe(b)));
+        });
+        return facetValues;
+    }
+
+    getForgeLabel(id) {
+        if (id === 'none') return 'No public source';
+        const forge = [...FORGES, GENERIC_FORGE].find(candidate => candidate.id === id);
+        return forge ? forge.label : id;
+    }
+
+    toggleTag(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.set(tag, 'include');
+        }
+        this.updateFilteredTools();
+    }
+
+    // Add a tag typed or picked in the tag picker, which may be a tag, an alias or a label.
+    // Returns false if it doesn't name a known tag.
+    addTag(text, mode = 'include') {
+        const tag = TAG_TAXONOMY.resolve(text);
+        if (!this.allTags.includes(tag)) {
+            this.showTagMessage(`No ${this.title.toLowerCase()} are tagged "${text.trim()}". Pick a tag from the suggestions.`);
+            return false;
+        }
+        
+        this.showTagMessage('');
+        if (!this.selectedTags.has(tag)) {
+            this.selectedTags.set(tag, mode === 'exclude' ? 'exclude' : 'include');
+            this.updateFilteredTools();
+        }
+        // Reset the picker for the next tag
+        const tagInput = document.getElementById('tag-input');
+        if (tagInput) {
+            tagInput.value = '';
+        }
+        return true;
+    }
+
+    // Flip a selected tag between include and exclude
+    toggleTagMode(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.set(tag, this.selectedTags.get(tag) === 'include' ? 'exclude' : 'include');
+            this.updateFilteredTools();
+        }
+    }
+
+    setTagMatchMode(mode) {
+        this.tagMatchMode = mode === 'any' ? 'any' : 'all';
+        this.updateFilteredTools();
+    }
+
+    updateSearchQuery(query) {
+        clearTimeout(this.searchTimer);
         this.searchQuery = query.toLowerCase().trim();
         this.updateFilteredTools();
     }
 
+    // Debounced variant used while typing in the search box
+    queueSearchQuery(query) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.updateSearchQuery(query), SEARCH_DEBOUNCE_MS);
+    }
+
+    showMore() {
+        const firstNewIndex = this.visibleCount;
+        this.visibleCount += PAGE_SIZE;
+        this.renderFilteredTools();
+        
+        // Keyboard users continue from the first newly shown card rather than the end of the page
+        const firstNewCard = document.querySelectorAll(`.tools-results ${CARD_SELECTOR}`)[firstNewIndex];
+        if (firstNewCard) firstNewCard.focus();
+    }
+
+    setSortOrder(order) {
+        this.sortOrder = Object.prototype.hasOwnProperty.call(SORT_OPTIONS, order) ? order : 'default';
+        this.updateFilteredTools();
+    }
+
+    setCategory(category) {
+        this.selectedCategory = this.allCategories.includes(category) ? category : '';
+        this.updateFilteredTools();
+    }
+
+    setForge(forge) {
+        this.selectedForge = this.allForges.includes(forge) ? forge : '';
+        this.updateFilteredTools();
+    }
+
+    setFacet(facet, value) {
+        if ((this.facetValues[facet] || []).includes(value)) {
+            this.selectedFacets[facet] = value;
+        } else {
+            delete this.selectedFacets[facet];
+        }
+        this.updateFilteredTools();
+    }
+
+    setViewMode(mode) {
+        if (mode !== 'flat' && mode !== 'grouped') return;
+        this.viewMode = mode;
+        localStorage.setItem(`${this.page}View`, mode);
+        this.refreshFilterUI();
+        this.renderFilteredTools();
+    }
+
+    toggleCategoryCollapse(category) {
+        if (this.collapsedCategories.has(category)) {
+            this.collapsedCategories.delete(category);
+        } else {
+            this.collapsedCategories.add(category);
+        }
+        this.renderFilteredTools();
+    }
+
+    setFavoritesOnly(enabled) {
+        this.favoritesOnly = Boolean(enabled);
+        this.updateFilteredTools();
+    }
+
+    setCollection(collectionName) {
+        this.selectedCollection = this.collections && this.collections.hasCollection(collectionName) ? collectionName : '';
+        this.updateFilteredTools();
+    }
+
+    toggleFavorite(toolId) {
+        this.collections.toggleFavorite(toolId);
+        this.updateFilteredTools();
+    }
+
+    toggleToolInCollection(collectionName, toolId) {
+        this.collections.toggleInCollection(collectionName, toolId);
+        this.updateFilteredTools();
+    }
+
+    createCollection() {
+        const input = document.getElementById('new-collection-input');
+        const name = input ? input.value.trim() : '';
+        if (!name) return;
+        
+        if (this.collections.createCollection(name)) {
+            this.collectionMessage = `Created "${name}". Add utilities to it from their cards.`;
+        } else {
+            this.collectionMessage = `A collection named "${name}" already exists.`;
+        }
+        this.updateFilteredTools();
+    }
+
+    deleteCollection() {
+        const name = this.selectedCollection;
+        if (!name || !confirm(`Delete the collection "${name}"?`)) return;
+        
+        this.collections.deleteCollection(name);
+        this.selectedCollection = '';
+        this.collectionMessage = `Deleted "${name}".`;
+        this.updateFilteredTools();
+    }
+
+    exportCollections() {
+        downloadFile('utility-collections.json', JSON.stringify(this.collections.export(), null, 2), 'application/json');
+    }
+
+    async importCollections(file) {
+        if (!file) return;
+        
+        try {
+            const count = this.collections.import(JSON.parse(await file.text()));
+            this.collectionMessage = `Imported favorites and ${count} ${count === 1 ? 'collection' : 'collections'} from ${file.name}.`;
+        } catch (error) {
+            console.error('[FilterManager] Failed to import collections:', error);
+            this.collectionMessage = `Couldn't import ${file.name}: ${error.message}`;
+        }
+        this.updateFilteredTools();
+    }
+
+    // The active filters as [label, value] pairs, for export headers
+    describeFilters() {
+        return [
+            ['Search', this.searchQuery],
+            ['Tags', this.describeTagQuery()],
+            ['Category', this.selectedCategory],
+            ['Source host', this.selectedForge ? this.getForgeLabel(this.selectedForge) : ''],
+            ...Object.entries(this.selectedFacets).map(([facet, value]) => [FACETS[facet].label, FACETS[facet].describe(value)]),
+            ['Favorites only', this.favoritesOnly ? 'Yes' : ''],
+            ['Collection', this.selectedCollection],
+            ['Sorted by', this.sortOrder === 'default' ? '' : SORT_OPTIONS[this.sortOrder].label]
+        ].filter(([, value]) => value);
+    }
+
+    // What an export was made from: the filters, a link back to the same view and the counts
+    getExportHeader() {
+        const hash = window.router ? window.router.buildHash(this.page, this.getRouteParams()) : `#${this.page}`;
+        return {
+            title: this.title,
+            count: this.filteredTools.length,
+            total: this.items.length,
+            exported: new Date().toISOString(),
+            link: `${window.location.origin}${window.location.pathname}${hash}`,
+            filters: this.describeFilters()
+        };
+    }
+
+    // The page and the filters in use, e.g. "utilities-open-vpn.csv", so an export says what it
+    // holds even in formats without room for the export header
+    getExportFilename(extension) {
+        const name = slugify([this.title, ...this.describeFilters().map(([, value]) => value)].join(' '));
+        return `${name.slice(0, MAX_EXPORT_FILENAME).replace(/-+$/, '')}.${extension}`;
+    }
+
+    // The current results, in their current order, as text in one of EXPORT_FORMATS
+    buildExport(format) {
+        return EXPORT_FORMATS[format].build(this.filteredTools, this.getExportHeader());
+    }
+
+    downloadExport(format) {
+        if (!EXPORT_FORMATS[format]) return;
+        
+        const { extension, type, label } = EXPORT_FORMATS[format];
+        downloadFile(this.getExportFilename(extension), this.buildExport(format), type);
+        this.showExportMessage(`Downloaded ${this.filteredTools.length} ${this.title.toLowerCase()} as ${label}.`);
+    }
+
+    async copyExport(format) {
+        if (!EXPORT_FORMATS[format]) return;
+        
+        const { label } = EXPORT_FORMATS[format];
+        try {
+            await navigator.clipboard.writeText(this.buildExport(format));
+            this.showExportMessage(`Copied ${this.filteredTools.length} ${this.title.toLowerCase()} as ${label}.`);
+        } catch (error) {
+            console.error('[FilterManager] Failed to copy export:', error);
+            this.showExportMessage(`Couldn't copy to the clipboard. Try downloading instead.`);
+        }
+    }
+
+    // Shown below the tag picker, which isn't re-rendered with the results
+    showTagMessage(message) {
+        const status = document.getElementById('tag-message');
+        if (status) status.textContent = message;
+    }
+
+    // The export menu isn't re-rendered with the filter UI, so it stays open while in use
+    showExportMessage(message) {
+        const status = document.querySelector('.export-message');
+        if (status) status.textContent = message;
+    }
+
+    // The item with an id, or, for links shared before ids were used, with that name
+    findItem(idOrName) {
+        return this.items.find(item => item.id === idOrName) || this.items.find(item => item.name === idOrName);
+    }
+
+    // Select utilities to compare by id. Names are accepted too, so older #compare links still work.
+    setCompareSelection(ids) {
+        const known = ids.map(id => this.findItem(id)).filter(Boolean).map(item => item.id);
+        this.compareSelection = Array.from(new Set(known)).slice(0, MAX_COMPARE_TOOLS);
+    }
+
+    async toggleCompare(id) {
+        if (this.compareSelection.includes(id)) {
+            this.compareSelection = this.compareSelection.filter(selected => selected !== id);
+        } else if (this.compareSelection.length < MAX_COMPARE_TOOLS) {
+            this.compareSelection.push(id);
+        }
+        
+        if (window.router && window.router.currentPage === 'compare') {
+            window.router.replaceParams({ tools: this.compareSelection.join(',') });
+            await window.router.renderPage('compare');
+        } else {
+            this.renderFilteredTools();
+            this.refreshCompareTray();
+        }
+    }
+
+    clearCompare() {
+        this.compareSelection = [];
+        this.renderFilteredTools();
+        this.refreshCompareTray();
+    }
+
+    async openCompare() {
+        if (window.router) {
+            await window.router.navigateTo('compare', { tools: this.compareSelection.join(',') });
+        }
+    }
+
     clearAllFilters() {
         this.selectedTags.clear();
+        this.tagMatchMode = 'all';
         this.searchQuery = '';
+        this.selectedCategory = '';
+        this.selectedForge = '';
+        this.selectedFacets = {};
+        this.favoritesOnly = false;
+        this.selectedCollection = '';
+        this.sortOrder = 'default';
         const searchInput = document.getElementById('search-input');
-        const dropdown = document.getElementById('tag-dropdown');
+        const tagInput = document.getElementById('tag-input');
         if (searchInput) searchInput.value = '';
-        if (dropdown) dropdown.value = '';
+        if (tagInput) tagInput.value = '';
+        this.showTagMessage('');
         this.updateFilteredTools();
     }
 
+    // Filter state as route parameters, e.g. { tags: 'vpn,-proprietary', match: 'any', q: 'wire', sort: 'name' }
+    getRouteParams() {
+        return {
+            tags: Array.from(this.selectedTags)
+                .map(([tag, mode]) => mode === 'exclude' ? `-${tag}` : tag)
+                .join(','),
+            match: this.tagMatchMode === 'any' ? 'any' : '',
+            q: this.searchQuery,
+            category: this.selectedCategory,
+            forge: this.selectedForge,
+            ...Object.fromEntries(Object.keys(FACETS).map(facet => [facet, this.selectedFacets[facet] || ''])),
+            fav: this.favoritesOnly ? '1' : '',
+            collection: this.selectedCollection,
+            sort: this.sortOrder === 'default' ? '' : this.sortOrder
+        };
+    }
+
+    // Restore filter state from route parameters without touching the DOM or the URL
+    applyRouteParams(params = {}) {
+        this.selectedTags = new Map();
+        (params.tags || '').split(',').forEach(value => {
+            // Links may still use an alias, e.g. "chat" for "messaging"
+            const tag = TAG_TAXONOMY.canonical(value.trim().replace(/^-/, ''));
+            if (this.allTags.includes(tag)) {
+                this.selectedTags.set(tag, value.trim().startsWith('-') ? 'exclude' : 'include');
+            }
+        });
+        this.tagMatchMode = params.match === 'any' ? 'any' : 'all';
+        this.searchQuery = (params.q || '').toLowerCase().trim();
+        this.selectedCategory = this.allCategories.includes(params.category) ? params.category : '';
+        this.selectedForge = this.allForges.includes(params.forge) ? params.forge : '';
+        this.selectedFacets = {};
+        Object.entries(this.facetValues).forEach(([facet, values]) => {
+            if (values.includes(params[facet])) this.selectedFacets[facet] = params[facet];
+        });
+        (params.tags || '').split(',').forEach(value => {
+            const [facet, facetValue] = RETIRED_TAG_FACETS[value.trim()] || [];
+            if (facet && !this.selectedFacets[facet] && (this.facetValues[facet] || []).includes(facetValue)) {
+                this.selectedFacets[facet] = facetValue;
+            }
+        });
+        this.favoritesOnly = Boolean(this.collections) && params.fav === '1';
+        this.selectedCollection = this.collections && this.collections.hasCollection(params.collection) ? params.collection : '';
+        this.sortOrder = Object.prototype.hasOwnProperty.call(SORT_OPTIONS, params.sort) ? params.sort : 'default';
+        this.applyFilters();
+    }
+
+    syncUrl() {
+        if (window.router && window.router.currentPage === this.page) {
+            window.router.replaceParams(this.getRouteParams());
+        }
+    }
+
     updateFilteredTools() {
-        let filtered = [...TOOLS_DATA];
+        const previousIds = this.filteredTools.map(tool => tool.id).join(',');
+        this.applyFilters();
+        
+        // Start paging from the top again whenever the result set changes
+        if (this.filteredTools.map(tool => tool.id).join(',') !== previousIds) {
+            this.visibleCount = PAGE_SIZE;
+        }
+        
+        this.refreshFilterUI();
+        this.renderFilteredTools();
+        this.syncUrl();
+        announce(this.describeResultCount());
+    }
+
+    describeResultCount() {
+        return `Showing ${this.filteredTools.length} of ${this.items.length} items`;
+    }
+
+    applyFilters() {
+        let filtered = [...this.items];
         
         // Apply tag filtering
         if (this.selectedTags.size > 0) {
-            filtered = filtered.filter(tool => {
-                // AND logic: tool must have ALL selected tags
-                return Array.from(this.selectedTags).every(selectedTag => 
-                    tool.tags.includes(selectedTag)
-                );
-            });
+            filtered = filtered.filter(tool => this.matchesTagQuery(tool));
+        }
+        
+        // Apply favorites and collection filtering
+        if (this.favoritesOnly) {
+            filtered = filtered.filter(tool => this.collections.isFavorite(tool.id));
+        }
+        if (this.selectedCollection) {
+            const members = this.collections.getCollection(this.selectedCollection);
+            filtered = filtered.filter(tool => members.includes(tool.id));
+        }
+        
+        // Apply category filtering
+        if (this.selectedCategory) {
+            filtered = filtered.filter(tool => tool.category === this.selectedCategory);
         }
         
-        // Apply search filtering
+        // Apply source host filtering
+        if (this.selectedForge) {
+            filtered = filtered.filter(tool => (tool.forge || 'none') === this.selectedForge);
+        }
+        
+        // Apply search filtering; results come back ordered by relevance
+        this.searchMatches = new Map();
         if (this.searchQuery) {
-            filtered = filtered.filter(tool => {
-                const nameMatch = tool.name.toLowerCase().includes(this.searchQuery);
-                const descriptionMatch = tool.description.toLowerCase().includes(this.searchQuery);
-                return nameMatch || descriptionMatch;
-            });
+            const results = this.searchEngine.search(filtered, this.searchQuery);
+            results.forEach(result => this.searchMatches.set(result.tool.id, result));
+            filtered = results.map(result => result.tool);
+        }
+        
+        // Apply facet filtering last, so each facet's option counts can be taken from the results
+        // before it (see getFacetCount)
+        this.facetBase = filtered;
+        filtered = filtered.filter(tool => this.matchesFacets(tool));
+        
+        // Apply sorting
+        const { compare } = SORT_OPTIONS[this.sortOrder];
+        if (compare) {
+            filtered.sort(compare);
         }
         
         this.filteredTools = filtered;
-        this.refreshFilterUI();
-        this.renderFilteredTools();
     }
 
-    renderFilterUI() {
-        const selectedTagsArray = Array.from(this.selectedTags);
-        const availableTags = this.allTags.filter(tag => !this.selectedTags.has(tag));
+    getTagsByMode(mode) {
+        return Array.from(this.selectedTags)
+            .filter(([, tagMode]) => tagMode === mode)
+            .map(([tag]) => tag);
+    }
+
+    // A tool has a tag if it carries the tag itself or any tag grouped under it, so "anonymity"
+    // also matches tools tagged "tor"
+    hasTag(tool, tag) {
+        const descendants = TAG_TAXONOMY.getDescendants(tag);
+        return tool.tags.some(toolTag => descendants.has(toolTag));
+    }
+
+    // Included tags are combined with AND (match all) or OR (match any); excluded tags always rule a tool out
+    matchesTagQuery(tool) {
+        const included = this.getTagsByMode('include');
+        const excluded = this.getTagsByMode('exclude');
+        
+        if (excluded.some(tag => this.hasTag(tool, tag))) return false;
+        if (included.length === 0) return true;
+        
+        return this.tagMatchMode === 'any'
+            ? included.some(tag => this.hasTag(tool, tag))
+            : included.every(tag => this.hasTag(tool, tag));
+    }
+
+    // Whether an item has the value selected in every facet, optionally ignoring one facet
+    matchesFacets(item, exceptFacet = null) {
+        return Object.entries(this.selectedFacets)
+            .every(([facet, value]) => facet === exceptFacet || FACETS[facet].values(item).includes(value));
+    }
+
+    // How many results picking a facet value would give, with the other filters as they are.
+    // Picking a value replaces the facet's current one, so that facet's own selection is ignored.
+    getFacetCount(facet, value) {
+        return this.facetBase.filter(item => this.matchesFacets(item, facet) && FACETS[facet].values(item).includes(value)).length;
+    }
+
+    // How many of the current results have a tag, shown next to it in the tag picker
+    getTagCount(tag) {
+        return this.filteredTools.filter(tool => this.hasTag(tool, tag)).length;
+    }
+
+    // Other items that share tags with an item, most similar first. Rare tags count for more than
+    // ones nearly everything has, like "privacy". Alternatives are in the same category and can
+    // replace the item; related items are in other categories and share at least two tags.
+    getSimilarTools(item) {
+        const tagCounts = new Map();
+        this.items.forEach(other => other.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+        const scored = this.items
+            .filter(other => other !== item)
+            .map(other => {
+                const shared = other.tags.filter(tag => item.tags.includes(tag));
+                const score = shared.reduce((sum, tag) => sum + Math.log(this.items.length / tagCounts.get(tag)), 0);
+                return { tool: other, shared, score };
+            })
+            .filter(match => match.shared.length > 0)
+            .sort((a, b) => b.score - a.score || a.tool.name.localeCompare(b.tool.name));
+
+        return {
+            alternatives: scored.filter(match => match.tool.category === item.category).slice(0, MAX_SIMILAR_TOOLS),
+            related: scored.filter(match => match.tool.category !== item.category && match.shared.length >= 2).slice(0, MAX_SIMILAR_TOOLS)
+        };
+    }
+
+    // Human-readable form of the tag query, e.g. "(Messaging OR Email) AND NOT Commercial"
+    describeTagQuery() {
+        const included = this.getTagsByMode('include').map(tag => TAG_TAXONOMY.getLabel(tag));
+        const excluded = this.getTagsByMode('exclude').map(tag => `NOT ${TAG_TAXONOMY.getLabel(tag)}`);
+        const operator = this.tagMatchMode === 'any' ? ' OR ' : ' AND ';
+        
+        let expression = included.join(operator);
+        if (included.length > 1 && this.tagMatchMode === 'any' && excluded.length > 0) {
+            expression = `(${expression})`;
+        }
+        return [expression, ...excluded].filter(Boolean).join(' AND ');
+    }
+
+    hasActiveFilters() {
+        return this.selectedTags.size > 0 || Object.keys(this.selectedFacets).length > 0 || Boolean(this.searchQuery || this.selectedCategory || this.selectedForge || this.favoritesOnly || this.selectedCollection);
+    }
+
+    // Run a data-action from the rendered UI. Only the actions listed here can be triggered
+    // from markup; values come from the element's data-* attributes or its form value.
+    handleAction(action, element) {
+        const value = element.dataset.value !== undefined ? element.dataset.value : element.value;
         
+        switch (action) {
+            case 'queueSearchQuery':
+                return this.queueSearchQuery(value);
+            case 'clearSearch': {
+                const searchInput = document.getElementById('search-input');
+                if (searchInput) searchInput.value = '';
+                return this.updateSearchQuery('');
+            }
+            case 'addTag': {
+                const tagInput = document.getElementById('tag-input');
+                if (tagInput && tagInput.value.trim()) this.addTag(tagInput.value, element.dataset.mode);
+                return;
+            }
+            case 'toggleTag':
+                return this.toggleTag(element.dataset.tag);
+            case 'toggleTagMode':
+                return this.toggleTagMode(element.dataset.tag);
+            case 'setTagMatchMode':
+                return this.setTagMatchMode(value);
+            case 'setCategory':
+                return this.setCategory(value);
+            case 'setForge':
+                return this.setForge(value);
+            case 'setFacet':
+                return this.setFacet(element.dataset.facet, value);
+            case 'setSortOrder':
+                return this.setSortOrder(value);
+            case 'setViewMode':
+                return this.setViewMode(value);
+            case 'toggleCategoryCollapse':
+                return this.toggleCategoryCollapse(element.dataset.category);
+            case 'showMore':
+                return this.showMore();
+            case 'clearAllFilters':
+                return this.clearAllFilters();
+            case 'retryLoad':
+                return this.retryLoad();
+            case 'setFavoritesOnly':
+                return this.setFavoritesOnly(value === 'true');
+            case 'setCollection':
+                return this.setCollection(value);
+            case 'createCollection':
+                return this.createCollection();
+            case 'deleteCollection':
+                return this.deleteCollection();
+            case 'exportCollections':
+                return this.exportCollections();
+            case 'downloadExport':
+                return this.downloadExport(value);
+            case 'copyExport':
+                return this.copyExport(value);
+            case 'importCollections':
+                return this.importCollections(element.files[0]);
+            case 'toggleFavorite':
+                return this.toggleFavorite(element.dataset.id);
+            case 'toggleToolInCollection':
+                return this.toggleToolInCollection(value, element.dataset.id);
+            case 'toggleCompare':
+                return this.toggleCompare(element.dataset.id);
+            case 'clearCompare':
+                return this.clearCompare();
+            case 'openCompare':
+                return this.openCompare();
+            default:
+                console.warn(`[FilterManager] Unknown action "${action}"`);
+        }
+    }
+
+    renderFilterUI() {
         return `
-            <div class="filter-container">
+            <div class="filter-container" role="search" aria-label="Filter ${escapeHtml(this.title.toLowerCase())}">
                 <div class="filter-header">
-                    <h3 class="filter-title">Search and Filter Utilities</h3>
-                    <div class="filter-stats">
-                        <span class="item-count">Showing ${this.filteredTools.length} of ${TOOLS_DATA.length} items</span>
-                        ${selectedTagsArray.length > 0 || this.searchQuery ? `<button class="clear-filters-btn" onclick="window.toolsFilter.clearAllFilters()">Clear all</button>` : ''}
-                    </div>
+                    <h3 class="filter-title">Search and Filter ${this.title}</h3>
+                    <div class="filter-stats">${this.renderFilterStats()}</div>
+                    ${this.exportable ? this.renderExportMenu() : ''}
                 </div>
                 
                 <div class="search-and-tags">
@@ -304,148 +1992,1129 @@ class FilterManager {
                         <input type="text" 
                                id="search-input" 
                                class="search-input" 
-                               placeholder="Search utilities by name or description..."
-                               value="${this.searchQuery}"
-                               oninput="window.toolsFilter.updateSearchQuery(this.value)">
-                        ${this.searchQuery ? `<button class="clear-search-btn" onclick="document.getElementById('search-input').value=''; window.toolsFilter.updateSearchQuery('')">&times;</button>` : ''}
+                               placeholder="Search name, tags or description (&quot;phrase&quot;, -exclude)..."
+                               aria-label="Search ${escapeHtml(this.title.toLowerCase())}"
+                               aria-keyshortcuts="/"
+                               value="${escapeHtml(this.searchQuery)}"
+                               data-action="queueSearchQuery">
+                        <button class="clear-search-btn" ${this.searchQuery ? '' : 'hidden'} data-action="clearSearch" aria-label="Clear search">&times;</button>
                     </div>
                     
-                    <div class="tag-selector">
-                        <select id="tag-dropdown" class="tag-dropdown">
-                            <option value="">Select a tag to add...</option>
-                            ${availableTags.map(tag => `
-                                <option value="${tag}">${tag}</option>
-                            `).join('')}
-                        </select>
-                        <button class="add-tag-btn" onclick="
-                            const dropdown = document.getElementById('tag-dropdown');
-                            if (dropdown.value) {
-                                window.toolsFilter.addTag(dropdown.value);
-                            }
-                        ">Add Tag</button>
-                    </div>
-                </div>
-                
-                ${selectedTagsArray.length > 0 ? `
-                    <div class="active-filters">
-                        <span class="active-filters-label">Selected tags:</span>
-                        <div class="active-filters-list">
-                            ${selectedTagsArray.map(tag => `
-                                <span class="active-filter-tag">
-                                    ${tag}
-                                    <button class="remove-tag-btn" onclick="window.toolsFilter.toggleTag('${tag}')">&times;</button>
-                                </span>
-                            `).join('')}
+                    <form class="tag-selector" data-action="addTag" data-mode="include">
+                        <input type="text" id="tag-input" class="tag-dropdown tag-input" list="tag-options"
+                               placeholder="Type a tag to add..." aria-label="Tag" aria-describedby="tag-message" autocomplete="off">
+                        <datalist id="tag-options">${this.renderTagOptions()}</datalist>
+                        <button type="submit" class="add-tag-btn">Add Tag</button>
+                        <button type="button" class="add-tag-btn exclude-tag-btn" data-action="addTag" data-mode="exclude">Exclude</button>
+                    </form>
+                    <p class="tag-message" id="tag-message" role="status"></p>
+                    
+                    ${this.allCategories.length > 0 ? `
+                        <div class="category-selector">
+                            <select id="category-dropdown" class="tag-dropdown" data-action="setCategory" aria-label="Category">
+                                <option value="">All categories</option>
+                                ${this.allCategories.map(category => `
+                                    <option value="${escapeHtml(category)}" ${category === this.selectedCategory ? 'selected' : ''}>${escapeHtml(category)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    
+                    ${this.allForges.length > 0 ? `
+                        <div class="forge-selector">
+                            <select id="forge-dropdown" class="tag-dropdown" data-action="setForge" aria-label="Source host">
+                                <option value="">All source hosts</option>
+                                ${this.allForges.map(forge => `
+                                    <option value="${escapeHtml(forge)}" ${forge === this.selectedForge ? 'selected' : ''}>${escapeHtml(this.getForgeLabel(forge))} (${this.items.filter(tool => (tool.forge || 'none') === forge).length})</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    
+                    <div class="sort-selector">
+                        <select id="sort-dropdown" class="tag-dropdown" data-action="setSortOrder" aria-label="Sort order">
+                            ${Object.entries(SORT_OPTIONS).map(([value, option]) => `
+                                <option value="${value}" ${value === this.sortOrder ? 'selected' : ''}>${option.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                
+                ${this.renderFacets()}
+                
+                <div class="collections-container">${this.collections ? this.renderCollectionsBar() : ''}</div>
+                
+                <div class="active-filters-container">${this.renderActiveFilters()}</div>
+            </div>
+        `;
+    }
+
+    renderFacets() {
+        const facets = Object.entries(this.facetValues);
+        if (facets.length === 0) return '';
+        
+        return `
+            <details class="facet-filters" ${Object.keys(this.selectedFacets).length > 0 ? 'open' : ''}>
+                <summary class="facet-filters-summary">More filters</summary>
+                <div class="facet-filters-list">
+                    ${facets.map(([facet, values]) => `
+                        <label class="facet-filter">
+                            <span class="facet-filter-label">${escapeHtml(FACETS[facet].label)}</span>
+                            <select id="facet-${facet}" class="tag-dropdown facet-dropdown" data-action="setFacet" data-facet="${facet}">
+                                <option value="">Any</option>
+                                ${values.map(value => `
+                                    <option value="${escapeHtml(value)}" ${value === this.selectedFacets[facet] ? 'selected' : ''}>${escapeHtml(this.describeFacetOption(facet, value))}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    // A facet option's label with the results it would give, e.g. "Switzerland (4)"
+    describeFacetOption(facet, value) {
+        return `${FACETS[facet].describe(value)} (${this.getFacetCount(facet, value)})`;
+    }
+
+    renderFilterStats() {
+        return `
+            <span class="item-count">${this.describeResultCount()}</span>
+            ${this.allCategories.length > 0 ? `
+                <div class="view-toggle" role="group" aria-label="Layout">
+                    <button class="view-toggle-btn ${this.viewMode === 'flat' ? 'active' : ''}" aria-pressed="${this.viewMode === 'flat'}" data-action="setViewMode" data-value="flat">Flat</button>
+                    <button class="view-toggle-btn ${this.viewMode === 'grouped' ? 'active' : ''}" aria-pressed="${this.viewMode === 'grouped'}" data-action="setViewMode" data-value="grouped">Grouped</button>
+                </div>
+            ` : ''}
+            ${this.hasActiveFilters() || this.sortOrder !== 'default' ? `<button class="clear-filters-btn" data-action="clearAllFilters">Clear all</button>` : ''}
+        `;
+    }
+
+    // Typeahead suggestions: each tag's label, with its result count, group and aliases as the
+    // hint so typing any of them finds it
+    renderTagOptions() {
+        const availableTags = this.allTags.filter(tag => !this.selectedTags.has(tag));
+        return availableTags.map(tag => {
+            const count = this.getTagCount(tag);
+            const parent = TAG_TAXONOMY.getParent(tag);
+            const aliases = TAG_TAXONOMY.getAliases(tag);
+            const hint = [
+                `${count} ${count === 1 ? 'result' : 'results'}`,
+                parent ? `in ${TAG_TAXONOMY.getLabel(parent)}` : '',
+                aliases.length > 0 ? `also ${aliases.join(', ')}` : ''
+            ].filter(Boolean).join(' · ');
+            return `<option value="${escapeHtml(TAG_TAXONOMY.getLabel(tag))}">${escapeHtml(hint)}</option>`;
+        }).join('');
+    }
+
+    renderActiveFilters() {
+        const selectedTagsArray = Array.from(this.selectedTags.keys());
+        const selectedFacets = Object.entries(this.selectedFacets);
+        // Match all/any only changes how included tags combine, so it needs at least two of them
+        const canChooseMatchMode = this.getTagsByMode('include').length > 1;
+        if (selectedTagsArray.length === 0 && selectedFacets.length === 0 && !this.selectedCategory && !this.selectedForge) return '';
+        
+        return `
+            <div class="active-filters">
+                <div class="active-filters-header">
+                    <span class="active-filters-label">Active filters:</span>
+                    ${canChooseMatchMode ? `
+                        <div class="view-toggle" role="group" aria-label="Tag matching">
+                            <button class="view-toggle-btn ${this.tagMatchMode === 'all' ? 'active' : ''}" aria-pressed="${this.tagMatchMode === 'all'}" data-action="setTagMatchMode" data-value="all">Match all</button>
+                            <button class="view-toggle-btn ${this.tagMatchMode === 'any' ? 'active' : ''}" aria-pressed="${this.tagMatchMode === 'any'}" data-action="setTagMatchMode" data-value="any">Match any</button>
                         </div>
+                    ` : ''}
+                </div>
+                ${selectedTagsArray.length > 0 ? `<code class="tag-query-expression">${escapeHtml(this.describeTagQuery())}</code>` : ''}
+                <div class="active-filters-list">
+                    ${this.selectedCategory ? `
+                        <span class="active-filter-tag active-filter-category">
+                            ${escapeHtml(this.selectedCategory)}
+                            <button class="remove-tag-btn" data-action="setCategory" data-value="" aria-label="Remove category filter">&times;</button>
+                        </span>
+                    ` : ''}
+                    ${this.selectedForge ? `
+                        <span class="active-filter-tag active-filter-category">
+                            ${escapeHtml(this.getForgeLabel(this.selectedForge))}
+                            <button class="remove-tag-btn" data-action="setForge" data-value="" aria-label="Remove source host filter">&times;</button>
+                        </span>
+                    ` : ''}
+                    ${selectedFacets.map(([facet, value]) => `
+                        <span class="active-filter-tag active-filter-category">
+                            ${escapeHtml(FACETS[facet].label)}: ${escapeHtml(FACETS[facet].describe(value))}
+                            <button class="remove-tag-btn" data-action="setFacet" data-facet="${facet}" data-value="" aria-label="Remove ${escapeHtml(FACETS[facet].label.toLowerCase())} filter">&times;</button>
+                        </span>
+                    `).join('')}
+                    ${selectedTagsArray.map(tag => {
+                        const isExcluded = this.selectedTags.get(tag) === 'exclude';
+                        const label = escapeHtml(TAG_TAXONOMY.getLabel(tag));
+                        return `
+                            <span class="active-filter-tag ${isExcluded ? 'excluded' : ''}">
+                                <button class="tag-mode-btn" title="${isExcluded ? 'Excluded — click to include' : 'Included — click to exclude'}"
+                                        aria-label="${isExcluded ? `Include ${label} instead` : `Exclude ${label} instead`}" data-action="toggleTagMode" data-tag="${escapeHtml(tag)}">${isExcluded ? '−' : '+'}</button>
+                                ${label}
+                                <button class="remove-tag-btn" data-action="toggleTag" data-tag="${escapeHtml(tag)}" aria-label="Remove ${label}">&times;</button>
+                            </span>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderCollectionsBar() {
+        const collectionNames = this.collections.getCollectionNames();
+        
+        return `
+            <div class="collections-bar">
+                <button class="favorites-toggle ${this.favoritesOnly ? 'active' : ''}" aria-pressed="${this.favoritesOnly}" data-action="setFavoritesOnly" data-value="${!this.favoritesOnly}">
+                    ${this.favoritesOnly ? '★' : '☆'} Favorites only (${this.collections.state.favorites.length})
+                </button>
+                
+                <select id="collection-dropdown" class="tag-dropdown" data-action="setCollection" aria-label="Collection">
+                    <option value="">All utilities</option>
+                    ${collectionNames.map(name => `
+                        <option value="${escapeHtml(name)}" ${name === this.selectedCollection ? 'selected' : ''}>${escapeHtml(name)} (${this.collections.getCollection(name).length})</option>
+                    `).join('')}
+                </select>
+                ${this.selectedCollection ? `<button class="collection-action-btn" data-action="deleteCollection">Delete</button>` : ''}
+                
+                <form class="new-collection" data-action="createCollection">
+                    <input type="text" id="new-collection-input" class="search-input new-collection-input" placeholder="New collection name..." aria-label="New collection name">
+                    <button type="submit" class="add-tag-btn">Create</button>
+                </form>
+                
+                <div class="collection-transfer">
+                    <button class="collection-action-btn" data-action="exportCollections">Export</button>
+                    <label class="collection-action-btn">
+                        Import
+                        <input type="file" accept="application/json,.json" hidden data-action="importCollections">
+                    </label>
+                </div>
+                
+                ${this.collectionMessage ? `<p class="collection-message" role="status">${escapeHtml(this.collectionMessage)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderExportMenu() {
+        return `
+            <details class="export-menu">
+                <summary class="collection-action-btn">Export</summary>
+                <div class="export-menu-panel">
+                    <p class="export-menu-hint">The ${this.title.toLowerCase()} matching the current filters, in their current order</p>
+                    <ul class="export-formats">
+                        ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `
+                            <li class="export-format">
+                                <span class="export-format-label">${escapeHtml(label)}</span>
+                                <button class="collection-action-btn" data-action="downloadExport" data-value="${format}" aria-label="Download as ${escapeHtml(label)}">Download</button>
+                                <button class="collection-action-btn" data-action="copyExport" data-value="${format}" aria-label="Copy as ${escapeHtml(label)}">Copy</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <p class="export-message" role="status"></p>
+                </div>
+            </details>
+        `;
+    }
+
+    renderLoadError() {
+        return `
+            <div class="status-panel status-error">
+                <h3 class="status-title">Couldn't load ${this.title.toLowerCase()}</h3>
+                <p class="status-message">${escapeHtml(this.loadError.message)}</p>
+                <button class="clear-filters-btn" data-action="retryLoad">Retry</button>
+            </div>
+        `;
+    }
+
+    renderQuarantineNotice() {
+        const quarantined = QUARANTINED_ENTRIES[this.page] || [];
+        if (quarantined.length === 0) return '';
+        
+        return `
+            <details class="status-panel status-warning">
+                <summary>${quarantined.length} ${quarantined.length === 1 ? 'entry was' : 'entries were'} skipped because of invalid data</summary>
+                <ul class="status-list">
+                    ${quarantined.map(({ errors }) => errors.map(message => `<li>${escapeHtml(message)}</li>`).join('')).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    renderEmptyState() {
+        const hasFilters = this.hasActiveFilters();
+        return `
+            <div class="status-panel">
+                <h3 class="status-title">${hasFilters ? `No ${this.title.toLowerCase()} match these filters` : `No ${this.title.toLowerCase()} to show`}</h3>
+                ${hasFilters ? `<button class="clear-filters-btn" data-action="clearAllFilters">Clear all filters</button>` : ''}
+            </div>
+        `;
+    }
+
+    renderTools() {
+        if (this.filteredTools.length === 0) {
+            return this.renderEmptyState();
+        }
+        if (this.isGrouped()) {
+            return this.getCategoryGroups().map(group => {
+                const collapsed = this.collapsedCategories.has(group.category);
+                return `
+                    <section class="category-section ${collapsed ? 'collapsed' : ''}" data-category="${escapeHtml(group.category)}">
+                        ${this.renderCategoryHeader(group, collapsed)}
+                        ${collapsed ? '' : `
+                            <div class="${this.gridClass}">
+                                ${group.tools.map(tool => this.renderCard(tool)).join('')}
+                            </div>
+                        `}
+                    </section>
+                `;
+            }).join('');
+        }
+        return `
+            <div class="${this.gridClass}">${this.getVisibleTools().map(tool => this.renderCard(tool)).join('')}</div>
+            ${this.renderPagination()}
+        `;
+    }
+
+    isGrouped() {
+        return this.viewMode === 'grouped' && this.allCategories.length > 0;
+    }
+
+    // The flat layout is paged; grouped sections are kept short by collapsing instead
+    getVisibleTools() {
+        return this.filteredTools.slice(0, this.visibleCount);
+    }
+
+    getCategoryGroups() {
+        // Group filtered tools by category, keeping categories in sorted order
+        return this.allCategories
+            .map(category => ({
+                category,
+                tools: this.filteredTools.filter(tool => tool.category === category),
+                total: this.items.filter(tool => tool.category === category).length
+            }))
+            .filter(group => group.tools.length > 0);
+    }
+
+    renderCategoryHeader(group, collapsed) {
+        return `
+            <button class="category-header" aria-expanded="${!collapsed}" data-action="toggleCategoryCollapse" data-category="${escapeHtml(group.category)}">
+                <span class="category-chevron">${collapsed ? '▸' : '▾'}</span>
+                <h2 class="category-title">${escapeHtml(group.category)}</h2>
+                <span class="category-count">${group.tools.length === group.total ? group.total : `${group.tools.length} of ${group.total}`}</span>
+            </button>
+        `;
+    }
+
+    renderPagination() {
+        const remaining = this.filteredTools.length - this.visibleCount;
+        if (remaining <= 0) return '';
+        
+        return `
+            <div class="tools-pagination">
+                <span class="item-count">Showing ${this.visibleCount} of ${this.filteredTools.length}</span>
+                <button class="add-tag-btn" data-action="showMore">Show ${Math.min(remaining, PAGE_SIZE)} more</button>
+            </div>
+        `;
+    }
+
+    renderCard(item) {
+        return this.customRenderCard ? this.customRenderCard(item, this) : this.renderToolCard(item);
+    }
+
+    renderToolCard(tool) {
+        return `
+            <div class="tool-card" data-tags="${escapeHtml(tool.tags.join(','))}" tabindex="-1" role="article" aria-label="${escapeHtml(tool.name)}">
+                <div class="card-title-row">
+                    <h3 class="tool-name">
+                        <a href="#tools/${escapeHtml(tool.slug)}" class="tool-name-link" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(tool.slug))}">${this.highlight(tool.name, tool)}</a>
+                        ${isRecentlyAdded(tool) ? `<span class="new-badge" title="Added ${escapeHtml(formatDay(tool.date_added))}">New</span>` : ''}
+                    </h3>
+                    ${this.collections ? this.renderFavoriteButton(tool) : ''}
+                </div>
+                <p class="card-description">${this.highlight(tool.description, tool)}</p>
+                ${this.renderFactBadges(tool)}
+                <div class="tool-tags">
+                    ${tool.tags.map(tag => `<span class="tool-tag">${this.highlight(TAG_TAXONOMY.getLabel(tag), tool)}</span>`).join('')}
+                </div>
+                ${this.collections || this.comparable ? `
+                    <div class="tool-card-actions">
+                        ${this.collections ? this.renderCollectionPicker(tool) : ''}
+                        ${this.comparable ? this.renderCompareToggle(tool) : ''}
                     </div>
                 ` : ''}
+                ${this.hasBrokenLinks(tool) ? '<p class="link-warning" title="The last link check couldn\'t reach this link">⚠ link may be broken</p>' : ''}
+                <div class="tool-links">
+                    <a href="${safeUrl(tool.url_project)}" class="tool-link site-link${this.isLinkBroken(tool, 'url_project') ? ' link-broken' : ''}" target="_blank" rel="noopener" aria-label="${escapeHtml(tool.name)} website${this.isLinkBroken(tool, 'url_project') ? ' (link may be broken)' : ''}">
+                        Site
+                    </a>
+                    ${tool.url_git ? `
+                        <a href="${safeUrl(tool.url_git)}" class="tool-link git-link${this.isLinkBroken(tool, 'url_git') ? ' link-broken' : ''}" target="_blank" rel="noopener" title="${escapeHtml(this.getGitTitle(tool.url_git))}" aria-label="${escapeHtml(tool.name)} source code on ${escapeHtml(getForge(tool.url_git).label)}${this.isLinkBroken(tool, 'url_git') ? ' (link may be broken)' : ''}">
+                            <img src="${escapeHtml(this.getGitIcon(tool.url_git))}" alt="" class="git-icon">
+                        </a>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // A utility's recorded facts as badges: jurisdiction, open source, audit, pricing, license and
+    // platforms. The two open-source facts share one badge.
+    renderFactBadges(tool) {
+        const openSource = [tool.open_source_clients && 'clients', tool.open_source_server && 'server'].filter(Boolean);
+        const platforms = (tool.platforms || []).map(platform => FACETS.platform.describe(platform));
+        const badges = [
+            { kind: 'jurisdiction', label: 'Jurisdiction', text: tool.jurisdiction ? FACETS.jurisdiction.describe(tool.jurisdiction) : '' },
+            { kind: 'open-source', label: 'Open source', text: openSource.length === 2 ? 'Open source' : openSource.map(part => `Open-source ${part}`).join('') },
+            { kind: 'audited', label: 'Security audit', text: tool.audited ? 'Audited' : '' },
+            { kind: 'pricing', label: 'Pricing', text: tool.pricing ? FACETS.pricing.describe(tool.pricing) : '' },
+            { kind: 'license', label: 'License', text: tool.license },
+            // Several platforms are counted, with the full list on hover
+            { kind: 'platforms', label: 'Platforms', text: platforms.length > 1 ? `${platforms.length} platforms` : platforms.join(''), title: platforms.join(', ') }
+        ].filter(badge => badge.text);
+        if (badges.length === 0) return '';
+        
+        return `
+            <ul class="fact-badges">
+                ${badges.map(({ kind, label, text, title }) => `
+                    <li class="fact-badge fact-badge-${kind}" ${title ? `title="${escapeHtml(title)}"` : ''}><span class="visually-hidden">${label}: </span>${escapeHtml(text)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderFavoriteButton(tool) {
+        const isFavorite = this.collections.isFavorite(tool.id);
+        return `
+            <button class="favorite-btn ${isFavorite ? 'active' : ''}" data-id="${escapeHtml(tool.id)}" aria-pressed="${isFavorite}" aria-label="Favorite ${escapeHtml(tool.name)}"
+                    title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}"
+                    data-action="toggleFavorite">${isFavorite ? '★' : '☆'}</button>
+        `;
+    }
+
+    renderCollectionPicker(tool) {
+        const collectionNames = this.collections.getCollectionNames();
+        if (collectionNames.length === 0) return '';
+        
+        return `
+            <select class="collection-picker" data-id="${escapeHtml(tool.id)}" aria-label="Add ${escapeHtml(tool.name)} to a collection"
+                    data-action="toggleToolInCollection">
+                <option value="">Collections…</option>
+                ${collectionNames.map(name => `
+                    <option value="${escapeHtml(name)}">${this.collections.getCollection(name).includes(tool.id) ? '✓' : '＋'} ${escapeHtml(name)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    renderCompareToggle(tool) {
+        const isSelected = this.compareSelection.includes(tool.id);
+        const isFull = this.compareSelection.length >= MAX_COMPARE_TOOLS;
+        
+        return `
+            <label class="compare-toggle" title="${!isSelected && isFull ? `You can compare up to ${MAX_COMPARE_TOOLS} utilities` : 'Compare side by side'}">
+                <input type="checkbox" data-id="${escapeHtml(tool.id)}" aria-label="Compare ${escapeHtml(tool.name)}" ${isSelected ? 'checked' : ''} ${!isSelected && isFull ? 'disabled' : ''}
+                       data-action="toggleCompare">
+                Compare
+            </label>
+        `;
+    }
+
+    renderCompareTray() {
+        if (this.compareSelection.length === 0) return '';
+        
+        return `
+            <div class="compare-tray" role="region" aria-label="Utilities to compare">
+                <span class="compare-tray-label">Compare (${this.compareSelection.length}/${MAX_COMPARE_TOOLS}):</span>
+                <div class="active-filters-list">
+                    ${this.compareSelection.map(id => this.findItem(id)).map(tool => `
+                        <span class="active-filter-tag">
+                            ${escapeHtml(tool.name)}
+                            <button class="remove-tag-btn" data-id="${escapeHtml(tool.id)}" data-action="toggleCompare" aria-label="Remove ${escapeHtml(tool.name)} from comparison">&times;</button>
+                        </span>
+                    `).join('')}
+                </div>
+                <div class="compare-tray-actions">
+                    <button class="collection-action-btn" data-action="clearCompare">Clear</button>
+                    <button class="clear-filters-btn" ${this.compareSelection.length < 2 ? 'disabled' : ''} data-action="openCompare">Compare</button>
+                </div>
             </div>
         `;
     }
 
-    renderTools() {
-        return this.filteredTools.map(tool => `
-            <div class="tool-card" data-tags="${tool.tags.join(',')}">
-                <h3 class="tool-name">${tool.name}</h3>
-                <p class="card-description">${tool.description}</p>
-                <div class="tool-tags">
-                    ${tool.tags.map(tag => `<span class="tool-tag">${tag}</span>`).join('')}
-                </div>
-                <div class="tool-links">
-                    <a href="${tool.url_project}" class="tool-link site-link" target="_blank" rel="noopener">
-                        Site
-                    </a>
-                    ${tool.url_git ? `
-                        <a href="${tool.url_git}" class="tool-link git-link" target="_blank" rel="noopener">
-                            <img src="${this.getGitIcon(tool.url_git)}" alt="Git Repository" class="git-icon">
-                        </a>
-                    ` : ''}
-                </div>
-            </div>
-        `).join('');
+    refreshCompareTray() {
+        const trayContainer = document.querySelector('.compare-tray-container');
+        if (trayContainer) {
+            trayContainer.innerHTML = this.renderCompareTray();
+        }
+    }
+
+    // Host name of a git URL without the "www." prefix, e.g. "github.com"
+    getGitHost(gitUrl) {
+        try {
+            return new URL(gitUrl).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return gitUrl;
+        }
+    }
+
+    // Escaped text with the current search matches wrapped in <mark>
+    highlight(text, tool) {
+        const match = this.searchMatches.get(tool.id);
+        if (!match || match.highlights.length === 0) return escapeHtml(text);
+        
+        const pattern = match.highlights
+            .sort((a, b) => b.length - a.length)
+            .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '[^a-z0-9]+'))
+            .join('|');
+        // Splitting on a capturing pattern puts the matches at odd indexes
+        return text.split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, index) => index % 2 === 1 ? `<mark class="search-highlight">${escapeHtml(part)}</mark>` : escapeHtml(part))
+            .join('');
+    }
+
+    // Icon for a git URL's forge in the current theme, falling back to the theme's color scheme
+    getGitIcon(gitUrl) {
+        const { icons } = getForge(gitUrl);
+        const theme = document.documentElement.getAttribute('data-theme');
+        const scheme = document.documentElement.getAttribute('data-color-scheme') === 'dark' ? 'dark' : 'light';
+        return icons[theme] || icons[scheme];
+    }
+
+    // Whether the last run of scripts/check-links.js --annotate couldn't reach a link field
+    isLinkBroken(item, field) {
+        return Boolean(item.broken_links && item.broken_links.includes(field));
+    }
+
+    hasBrokenLinks(item) {
+        return Boolean(item.broken_links && item.broken_links.length > 0);
+    }
+
+    // Tooltip for a source link, e.g. "Source on Codeberg (codeberg.org)"
+    getGitTitle(gitUrl) {
+        return `Source on ${getForge(gitUrl).label} (${this.getGitHost(gitUrl)})`;
+    }
+
+    // Update only the parts of the filter UI that depend on filter state. The search input is
+    // never replaced, so it keeps focus and caret position while results update.
+    refreshFilterUI() {
+        const filterContainer = document.querySelector('.filter-container');
+        if (!filterContainer) return;
+        
+        const sections = {
+            '.filter-stats': this.renderFilterStats(),
+            '#tag-options': this.renderTagOptions(),
+            '.collections-container': this.collections ? this.renderCollectionsBar() : '',
+            '.active-filters-container': this.renderActiveFilters()
+        };
+        Object.entries(sections).forEach(([selector, html]) => {
+            const element = filterContainer.querySelector(selector);
+            if (element && this.renderedHtml.get(element) !== html) {
+                element.innerHTML = html;
+                this.renderedHtml.set(element, html);
+            }
+        });
+        
+        // Sync controls whose state can change from elsewhere (clear all, back/forward)
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && searchInput.value.toLowerCase().trim() !== this.searchQuery) {
+            searchInput.value = this.searchQuery;
+        }
+        const clearSearchButton = filterContainer.querySelector('.clear-search-btn');
+        if (clearSearchButton) {
+            clearSearchButton.hidden = !this.searchQuery;
+        }
+        const categoryDropdown = document.getElementById('category-dropdown');
+        if (categoryDropdown) {
+            categoryDropdown.value = this.selectedCategory;
+        }
+        const forgeDropdown = document.getElementById('forge-dropdown');
+        if (forgeDropdown) {
+            forgeDropdown.value = this.selectedForge;
+        }
+        const sortDropdown = document.getElementById('sort-dropdown');
+        if (sortDropdown) {
+            sortDropdown.value = this.sortOrder;
+        }
+        // Facet counts are updated in place rather than re-rendered, so the dropdown in use keeps focus
+        filterContainer.querySelectorAll('.facet-dropdown').forEach(dropdown => {
+            const { facet } = dropdown.dataset;
+            Array.from(dropdown.options).filter(option => option.value).forEach(option => {
+                option.textContent = this.describeFacetOption(facet, option.value);
+            });
+            dropdown.value = this.selectedFacets[facet] || '';
+        });
+    }
+
+    // Turn an HTML string with a single root into an element
+    createElement(html) {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = html.trim();
+        return wrapper.firstElementChild;
+    }
+
+    // Reconcile parent's children with [{ key, html }] in order, keeping elements whose
+    // markup hasn't changed and only creating, replacing or removing the rest
+    patchChildren(parent, entries) {
+        const stale = new Set(Array.from(parent.children));
+        const byKey = new Map(Array.from(parent.children).map(child => [child.dataset.key, child]));
+        
+        entries.forEach(({ key, html }, index) => {
+            let element = byKey.get(key);
+            if (!element || this.renderedHtml.get(element) !== html) {
+                const replacement = this.createElement(html);
+                replacement.dataset.key = key;
+                this.renderedHtml.set(replacement, html);
+                element = replacement;
+            }
+            stale.delete(element);
+            
+            const current = parent.children[index];
+            if (current !== element) {
+                parent.insertBefore(element, current || null);
+            }
+        });
+        
+        stale.forEach(element => element.remove());
+    }
+
+    getCardEntries(tools) {
+        return tools.map(tool => ({ key: String(tool.id), html: this.renderCard(tool) }));
+    }
+
+    renderFilteredTools() {
+        const toolsResults = document.querySelector('.tools-results');
+        if (!toolsResults) return;
+        
+        if (this.filteredTools.length === 0) {
+            toolsResults.innerHTML = this.renderEmptyState();
+        } else if (this.isGrouped()) {
+            this.patchGroupedTools(toolsResults);
+        } else {
+            this.patchFlatTools(toolsResults);
+        }
+        
+        // Update filter stats
+        const itemCount = document.querySelector('.filter-stats .item-count');
+        if (itemCount) {
+            itemCount.textContent = this.describeResultCount();
+        }
+    }
+
+    patchFlatTools(toolsResults) {
+        let grid = toolsResults.firstElementChild;
+        if (!grid || !grid.classList.contains(this.gridClass)) {
+            toolsResults.innerHTML = `<div class="${this.gridClass}"></div>`;
+            grid = toolsResults.firstElementChild;
+        }
+        this.patchChildren(grid, this.getCardEntries(this.getVisibleTools()));
+        
+        const pagination = toolsResults.querySelector('.tools-pagination');
+        const paginationHtml = this.renderPagination();
+        if (pagination) pagination.remove();
+        if (paginationHtml) {
+            toolsResults.appendChild(this.createElement(paginationHtml));
+        }
+    }
+
+    patchGroupedTools(toolsResults) {
+        const sections = Array.from(toolsResults.children).filter(child => child.matches('section.category-section'));
+        const stale = new Set(Array.from(toolsResults.children));
+        
+        this.getCategoryGroups().forEach((group, index) => {
+            const collapsed = this.collapsedCategories.has(group.category);
+            let section = sections.find(child => child.dataset.category === group.category);
+            if (!section) {
+                section = document.createElement('section');
+                section.className = 'category-section';
+                section.dataset.category = group.category;
+            }
+            stale.delete(section);
+            section.classList.toggle('collapsed', collapsed);
+            
+            const headerHtml = this.renderCategoryHeader(group, collapsed);
+            const header = section.querySelector('.category-header');
+            if (!header || this.renderedHtml.get(header) !== headerHtml) {
+                const newHeader = this.createElement(headerHtml);
+                this.renderedHtml.set(newHeader, headerHtml);
+                header ? header.replaceWith(newHeader) : section.prepend(newHeader);
+            }
+            
+            let grid = section.querySelector(`.${this.gridClass}`);
+            if (collapsed) {
+                if (grid) grid.remove();
+            } else {
+                if (!grid) {
+                    grid = document.createElement('div');
+                    grid.className = this.gridClass;
+                    section.appendChild(grid);
+                }
+                this.patchChildren(grid, this.getCardEntries(group.tools));
+            }
+            
+            const current = toolsResults.children[index];
+            if (current !== section) {
+                toolsResults.insertBefore(section, current || null);
+            }
+        });
+        
+        stale.forEach(element => element.remove());
+    }
+
+    updateGitIcons() {
+        // Update all git icons when theme changes
+        const gitIcons = document.querySelectorAll('.git-icon, .compare-git-icon');
+        gitIcons.forEach(icon => {
+            const gitLink = icon.closest('.git-link, .compare-git-link');
+            if (gitLink) {
+                const gitUrl = gitLink.href;
+                icon.src = this.getGitIcon(gitUrl);
+            }
+        });
+    }
+}
+
+// Registers the service worker and shows a banner when the connection drops or the
+// service worker reports that a cached data file changed on the server
+class OfflineManager {
+    constructor() {
+        this.banner = document.getElementById('app-banner');
+        // Data files the service worker has reported as changed since they were loaded
+        this.updatedFiles = new Set();
+        this.isOffline = !navigator.onLine;
+        this.init();
+    }
+
+    init() {
+        if (this.banner) {
+            this.banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button && button.dataset.action === 'showUpdatedData') this.showUpdatedData();
+                if (button && button.dataset.action === 'dismissUpdate') this.dismissUpdate();
+            });
+        }
+        window.addEventListener('online', () => this.setOffline(false));
+        window.addEventListener('offline', () => this.setOffline(true));
+        this.registerServiceWorker();
+        this.renderBanner();
+    }
+
+    registerServiceWorker() {
+        // Service workers need a secure http(s) origin; skip quietly when opened from disk
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            console.log('[OfflineManager] Service workers unavailable, offline support disabled');
+            return;
+        }
+        
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'data-updated') {
+                const file = new URL(event.data.url).pathname.split('/').pop();
+                console.log(`[OfflineManager] ${file} changed on the server`);
+                this.updatedFiles.add(file);
+                this.renderBanner();
+            }
+        });
+        
+        navigator.serviceWorker.register('./sw.js')
+            .then(registration => console.log('[OfflineManager] Service worker registered with scope', registration.scope))
+            .catch(error => console.warn('[OfflineManager] Service worker registration failed:', error));
+    }
+
+    setOffline(isOffline) {
+        this.isOffline = isOffline;
+        this.renderBanner();
+    }
+
+    // Reload the changed data files in place, keeping the current filters
+    async showUpdatedData() {
+        this.updatedFiles.forEach(file => {
+            if (file === 'tags.json') tagTaxonomyRequest = null;
+            (DATA_FILE_FILTERS[file] || []).forEach(name => {
+                if (window[name]) window[name].isLoaded = false;
+            });
+        });
+        this.updatedFiles.clear();
+        this.renderBanner();
+        
+        if (window.router) {
+            await window.router.renderPage(window.router.currentPage);
+        }
+    }
+
+    dismissUpdate() {
+        this.updatedFiles.clear();
+        this.renderBanner();
+    }
+
+    renderBanner() {
+        if (!this.banner) return;
+        
+        const messages = [];
+        if (this.isOffline) {
+            messages.push(`
+                <span class="app-banner-message">You are offline. Showing saved data.</span>
+            `);
+        }
+        if (this.updatedFiles.size > 0) {
+            messages.push(`
+                <span class="app-banner-message">Updated data is available.</span>
+                <button class="app-banner-btn" data-action="showUpdatedData">Show latest</button>
+                <button class="app-banner-btn" data-action="dismissUpdate" aria-label="Dismiss">×</button>
+            `);
+        }
+        
+        this.banner.innerHTML = messages.join('');
+        this.banner.hidden = messages.length === 0;
+        this.banner.classList.toggle('app-banner-offline', this.isOffline);
+    }
+}
+
+// Global keyboard shortcuts and arrow-key movement between cards:
+//   /        focus the search box (opening Utilities if the page has none)
+//   g <key>  go to a page, see GO_TO_SHORTCUTS (e.g. "g t" for Utilities)
+//   t        toggle the theme
+// Arrow keys, Home and End move between cards once one of them (or a link in it) has focus.
+class KeyboardManager {
+    constructor() {
+        this.pendingPrefix = false;
+        this.prefixTimer = null;
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const card = e.target.closest && e.target.closest(CARD_SELECTOR);
+        if (card && !this.isFormControl(e.target) && this.moveCardFocus(card, e.key)) {
+            e.preventDefault();
+            return;
+        }
+        
+        if (this.isFormControl(e.target)) {
+            // Escape leaves the search box so the shortcuts work again
+            if (e.key === 'Escape' && (e.target.id === 'search-input' || e.target.id === 'quick-search-input')) {
+                e.target.blur();
+            }
+            return;
+        }
+        
+        if (this.pendingPrefix) {
+            this.clearPrefix();
+            const page = GO_TO_SHORTCUTS[e.key];
+            if (page && window.router) {
+                e.preventDefault();
+                window.router.navigateTo(page);
+            }
+            return;
+        }
+        
+        switch (e.key) {
+            case '/':
+                e.preventDefault();
+                this.focusSearch();
+                break;
+            case 'g':
+                this.pendingPrefix = true;
+                this.prefixTimer = setTimeout(() => this.clearPrefix(), SHORTCUT_PREFIX_TIMEOUT_MS);
+                break;
+            case 't':
+                if (window.themeManager) window.themeManager.toggleTheme();
+                break;
+        }
+    }
+
+    clearPrefix() {
+        clearTimeout(this.prefixTimer);
+        this.pendingPrefix = false;
+    }
+
+    isFormControl(element) {
+        return Boolean(element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    // Focus the page's search box: the filter search, or the quick search on Home. Pages without
+    // one open Utilities.
+    async focusSearch() {
+        const findSearch = () => document.getElementById('search-input') || document.getElementById('quick-search-input');
+        if (!findSearch() && window.router) {
+            await window.router.navigateTo('tools');
+        }
+        const searchInput = findSearch();
+        if (searchInput) {
+            searchInput.focus();
+            searchInput.select();
+        }
+    }
+
+    // Move focus from a card to its neighbour for an arrow, Home or End key.
+    // Returns false for other keys so they keep their default behavior.
+    moveCardFocus(card, key) {
+        const cards = Array.from(document.querySelectorAll(`#page-content ${CARD_SELECTOR}`));
+        const index = cards.indexOf(card);
+        const columns = this.getColumnCount(card);
+        const targets = {
+            ArrowRight: index + 1,
+            ArrowLeft: index - 1,
+            ArrowDown: index + columns,
+            ArrowUp: index - columns,
+            Home: 0,
+            End: cards.length - 1
+        };
+        if (index === -1 || !(key in targets)) return false;
+        
+        const target = cards[Math.max(0, Math.min(cards.length - 1, targets[key]))];
+        target.focus();
+        return true;
+    }
+
+    // Number of cards in the first row of the card's grid
+    getColumnCount(card) {
+        const siblings = Array.from(card.parentElement.children);
+        const firstRowTop = siblings[0].offsetTop;
+        // Without layout information every card reports the same position; assume one column
+        if (siblings[0].offsetHeight === 0) return 1;
+        return siblings.filter(sibling => sibling.offsetTop === firstRowTop).length;
+    }
+}
+
+// The search box on the Home page. As you type it lists the best matching utilities and projects;
+// submitting it opens the full results on the Utilities page, or on Projects if only projects match.
+class QuickSearch {
+    constructor(router) {
+        this.router = router;
+        this.query = '';
+        this.searchEngine = new SearchEngine();
+        this.searchTimer = null;
     }
 
-    getGitIcon(gitUrl) {
-        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-        const isDark = currentTheme === 'dark';
-        
-        if (gitUrl.includes('github.com')) {
-            return isDark ? './resources/github-white.png' : './resources/github.png';
-        } else if (gitUrl.includes('gitlab')) {
-            return isDark ? './resources/gitlab-white.png' : './resources/gitlab.png';
-        } else {
-            return './resources/git.png';
+    handleAction(action, element) {
+        switch (action) {
+            case 'queueQuickSearch':
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.update(element.value), SEARCH_DEBOUNCE_MS);
+                return;
+            case 'openQuickSearch':
+                return this.openResults(element.elements.q.value);
+            default:
+                console.warn(`[QuickSearch] Unknown action "${action}"`);
         }
     }
 
-    refreshFilterUI() {
-        // Re-render the entire filter UI to show updated tag chips
-        const filterContainer = document.querySelector('.filter-container');
-        if (filterContainer) {
-            // Store current search input value to preserve it
-            const currentSearchValue = this.searchQuery;
-            
-            // Re-render the filter UI
-            filterContainer.outerHTML = this.renderFilterUI();
-            
-            // Restore search input value if it exists
-            const searchInput = document.getElementById('search-input');
-            if (searchInput && currentSearchValue) {
-                searchInput.value = currentSearchValue;
-            }
+    // Matching utilities and projects, most relevant first. Sections that failed to load have none.
+    getResults(query) {
+        const search = filter => (filter.isLoaded && query ? this.searchEngine.search(filter.items, query).map(result => result.tool) : []);
+        return {
+            tools: search(this.router.getToolsFilter()),
+            projects: search(this.router.getProjectsFilter())
+        };
+    }
+
+    update(query) {
+        clearTimeout(this.searchTimer);
+        this.query = query.trim();
+        const container = document.getElementById('quick-search-results');
+        if (container) {
+            container.innerHTML = this.renderResults();
+        }
+        if (this.query) {
+            const { tools, projects } = this.getResults(this.query);
+            announce(`${tools.length} ${tools.length === 1 ? 'utility' : 'utilities'} and ${projects.length} ${projects.length === 1 ? 'project' : 'projects'} match`);
         }
     }
 
-    renderFilteredTools() {
-        const toolsGrid = document.querySelector('.tools-grid');
-        if (toolsGrid) {
-            toolsGrid.innerHTML = this.renderTools();
-            
-            // Update filter stats
-            const itemCount = document.querySelector('.item-count');
-            if (itemCount) {
-                itemCount.textContent = `Showing ${this.filteredTools.length} of ${TOOLS_DATA.length} items`;
-            }
+    async openResults(query) {
+        clearTimeout(this.searchTimer);
+        this.query = query.trim();
+        if (!this.query) return;
+        
+        const { tools, projects } = this.getResults(this.query);
+        const page = tools.length === 0 && projects.length > 0 ? 'projects' : 'tools';
+        await this.router.navigateTo(page, { q: this.query });
+    }
+
+    renderResults() {
+        if (!this.query) return '';
+        
+        const { tools, projects } = this.getResults(this.query);
+        if (tools.length === 0 && projects.length === 0) {
+            return `<p class="quick-search-empty">Nothing matches "${escapeHtml(this.query)}".</p>`;
         }
+        
+        const params = escapeHtml(new URLSearchParams({ q: this.query }).toString());
+        const section = (title, page, matches, renderLink) => matches.length > 0 ? `
+            <div class="quick-search-section">
+                <h3 class="quick-search-heading">${title}</h3>
+                <ul class="quick-search-list">
+                    ${matches.slice(0, QUICK_SEARCH_LIMIT).map(item => `
+                        <li class="quick-search-item">
+                            ${renderLink(item)}
+                            <span class="quick-search-description">${escapeHtml(item.description)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <a href="#${page}?${params}" class="quick-search-all" data-page="${page}" data-params="${params}">All ${matches.length} matching ${title.toLowerCase()} →</a>
+            </div>
+        ` : '';
+        
+        return `
+            ${section('Utilities', 'tools', tools, tool => `
+                <a href="#tools/${escapeHtml(tool.slug)}" class="quick-search-name" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(tool.slug))}">${escapeHtml(tool.name)}</a>
+            `)}
+            ${section('Projects', 'projects', projects, project => {
+                // Projects have no pages of their own, so each opens Projects searched for its name
+                const projectParams = escapeHtml(new URLSearchParams({ q: `"${project.name}"` }).toString());
+                return `<a href="#projects?${projectParams}" class="quick-search-name" data-page="projects" data-params="${projectParams}">${escapeHtml(project.name)}</a>`;
+            })}
+        `;
     }
 
-    updateGitIcons() {
-        // Update all git icons when theme changes
-        const gitIcons = document.querySelectorAll('.git-icon');
-        gitIcons.forEach(icon => {
-            const gitLink = icon.closest('.git-link');
-            if (gitLink) {
-                const gitUrl = gitLink.href;
-                icon.src = this.getGitIcon(gitUrl);
-            }
-        });
+    render() {
+        return `
+            <section class="quick-search" data-filter="quickSearch" role="search" aria-label="Search the site">
+                <form class="quick-search-form" data-action="openQuickSearch">
+                    <input type="search" id="quick-search-input" name="q" class="search-input" value="${escapeHtml(this.query)}"
+                           placeholder="Search utilities and projects..." aria-label="Search utilities and projects"
+                           aria-keyshortcuts="/" autocomplete="off" data-action="queueQuickSearch">
+                    <button type="submit" class="add-tag-btn">Search</button>
+                </form>
+                <div class="quick-search-results" id="quick-search-results">${this.renderResults()}</div>
+            </section>
+        `;
     }
 }
 
 class Router {
     constructor() {
-        this.routes = {
-            'home': this.renderHome,
-            'projects': this.renderProjects,
-            'profiles': this.renderProfiles,
-            'tools': this.renderTools
-        };
+        // Registered routes by name, matched against the hash in registration order (see addRoute)
+        this.routes = new Map();
+        // Hooks run around every navigation (see beforeEach and afterEach)
+        this.hooks = { before: [], after: [] };
+        // Set by the pre-render build, whose pages stay as built until the next build. Content
+        // that changes from day to day, like the utility spotlight, is then left to the browser.
+        this.isStatic = false;
+        
+        this.addRoute('home', {
+            title: 'Home',
+            description: 'Developer, tinkerer, and privacy advocate. Building tools and exploring the digital frontier.',
+            render: this.renderHome
+        });
+        this.addRoute('projects', {
+            title: 'Projects',
+            description: 'A collection of my work and contributions to open source projects.',
+            render: this.renderProjects
+        });
+        this.addRoute('profiles', {
+            title: 'Profiles',
+            description: 'Find me across various platforms and networks.',
+            render: this.renderProfiles
+        });
+        this.addRoute('tools', {
+            title: 'Utilities',
+            description: 'Curated utilities I recommend for privacy, security, and development.',
+            render: this.renderTools
+        });
+        // Detail pages belong to the Utilities section and take their title from the utility
+        this.addRoute('tool', {
+            path: 'tools/:slug',
+            section: 'tools',
+            title: () => (this.currentTool ? this.currentTool.name : 'Utility'),
+            description: () => (this.currentTool ? this.currentTool.description : 'A utility I recommend for privacy, security, and development.'),
+            render: this.renderTool
+        });
+        // Only visited with a selection made on the Utilities page, so its code loads on demand
+        this.addRoute('compare', {
+            title: 'Compare',
+            description: 'Selected utilities side by side, with the tags they share and the ones that set them apart.',
+            load: () => import('./pages/compare.js')
+        });
+        // Behind the editor flag, and only used while curating the list, so it loads on demand too
+        this.addRoute('editor', {
+            section: 'tools',
+            title: 'Edit utilities',
+            description: 'Add, edit, reorder and remove utilities, then download the updated utilities.json.',
+            before: () => (isEditorEnabled() ? undefined : { page: 'tools', params: {} }),
+            load: () => import('./pages/editor.js')
+        });
+        // Shown for any hash no other route matches; "#404" is the pre-rendered 404.html
+        this.addRoute(NOT_FOUND_ROUTE, {
+            path: '404',
+            section: null,
+            title: 'Page not found',
+            description: "The page you're looking for doesn't exist.",
+            render: this.renderNotFound
+        });
+        
+        // Navigating anywhere, including back and forward, closes the mobile menu
+        this.afterEach(() => this.closeMobileMenu());
         
         this.currentPage = 'home';
-        this.init();
+        this.currentParams = {};
+        // Last known parameters per page, so nav links return to the same filtered view
+        this.pageParams = {};
+        // The utility shown by the detail page, or null if its slug matched nothing
+        this.currentTool = null;
+        // Scroll position of each visited hash, restored on back/forward
+        this.scrollPositions = new Map();
+        // The hash of the page on screen, or null before the first render
+        this.currentHash = null;
+        // Bumped by each render, so a slow page can tell a newer one has replaced it
+        this.renderCount = 0;
+    }
+
+    // Register a page. Options:
+    //   path         hash pattern, e.g. "tools/:slug"; ":name" segments become params (default: the name)
+    //   title        document title, or a function returning it
+    //   description  meta description, or a function returning it
+    //   render       returns the page's HTML, possibly async, called with the router as `this`
+    //   load         instead of render: imports a page module whose default export is the render function
+    //   section      nav link to mark active (default: the name; null for none)
+    //   before       hook run before the page renders, see resolveNavigation
+    //   after        hook run once the page is on screen
+    addRoute(name, { path = name, section = name, ...options }) {
+        const keys = [];
+        const pattern = path.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+        
+        this.routes.set(name, { ...options, name, path, section, keys, pattern: new RegExp(`^${pattern}$`) });
+        return this;
+    }
+
+    // Add a hook run before every navigation. Like a route's own before hook, it is called with
+    // { page, params, from } and may return false to stay put or { page, params } to go elsewhere.
+    beforeEach(hook) {
+        this.hooks.before.push(hook);
+    }
+
+    // Add a hook run with { page, params } after every page has rendered
+    afterEach(hook) {
+        this.hooks.after.push(hook);
     }
 
+    // Attach to the page and render the current route; resolves once it has rendered. The pre-render
+    // build (scripts/prerender.js) creates a Router without calling this and uses only the render methods.
     init() {
         // Set up navigation event listeners
         this.setupNavigation();
+        this.setupActions();
         
-        // Handle browser back/forward buttons
+        // Handle browser back/forward buttons. Pages render asynchronously, so the router
+        // restores scroll positions itself once the page is back on screen.
         window.addEventListener('popstate', () => {
             this.handleRoute();
         });
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
         
         // Load initial page
-        this.handleRoute();
+        return this.handleRoute();
     }
 
     setupNavigation() {
@@ -457,8 +3126,29 @@ class Router {
 
         // Mobile menu toggle
         navToggle.addEventListener('click', () => {
-            navMenu.classList.toggle('active');
-            navToggle.classList.toggle('active');
+            const isOpen = navMenu.classList.toggle('active');
+            navToggle.classList.toggle('active', isOpen);
+            navToggle.setAttribute('aria-expanded', String(isOpen));
+        });
+    }
+
+    // Rendered pages declare their controls with data-action attributes instead of inline
+    // handlers, so the site runs under a Content-Security-Policy without 'unsafe-inline'.
+    // One delegated listener per event type hands each action to the filter named by the
+    // closest data-filter ancestor.
+    setupActions() {
+        ['click', 'change', 'input', 'submit'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                const element = e.target.closest('[data-action]');
+                if (!element || getActionEvent(element) !== type) return;
+                
+                const owner = element.closest('[data-filter]');
+                const filter = owner && window[owner.dataset.filter];
+                if (!filter) return;
+                
+                if (type === 'submit') e.preventDefault();
+                filter.handleAction(element.dataset.action, element);
+            });
         });
     }
 
@@ -472,165 +3162,651 @@ class Router {
             if (target) {
                 e.preventDefault();
                 const page = target.getAttribute('data-page');
-                await this.navigateTo(page);
-                
-                // Close mobile menu if open
-                const navMenu = document.getElementById('nav-menu');
-                const navToggle = document.getElementById('nav-toggle');
-                if (navMenu && navToggle) {
-                    navMenu.classList.remove('active');
-                    navToggle.classList.remove('active');
-                }
+                // Links into a specific view carry its parameters, e.g. data-params="tags=vpn"
+                const params = target.dataset.params !== undefined
+                    ? Object.fromEntries(new URLSearchParams(target.dataset.params))
+                    : undefined;
+                await this.navigateTo(page, params);
             }
         };
         
         document.addEventListener('click', this.handlePageLinkClick);
     }
 
-    async navigateTo(page) {
-        if (this.routes[page]) {
-            this.currentPage = page;
-            history.pushState({ page }, '', `#${page}`);
-            this.updateActiveNav(page);
-            await this.renderPage(page);
+    closeMobileMenu() {
+        const navMenu = document.getElementById('nav-menu');
+        const navToggle = document.getElementById('nav-toggle');
+        if (navMenu && navToggle) {
+            navMenu.classList.remove('active');
+            navToggle.classList.remove('active');
+            navToggle.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    // Split a hash like "#tools?tags=vpn,open-source&q=wire" into its page and parameters.
+    // The path is matched against each route's pattern, e.g. "#tools/proton-vpn" is the "tool"
+    // page with { slug: 'proton-vpn' }. An empty path is home; one no route matches is not found.
+    parseHash(hash) {
+        const [path, query = ''] = hash.replace(/^#/, '').split('?');
+        const params = Object.fromEntries(new URLSearchParams(query));
+        if (!path) return { page: 'home', params };
+        
+        for (const route of this.routes.values()) {
+            const match = route.pattern.exec(path);
+            if (match) {
+                route.keys.forEach((key, index) => {
+                    params[key] = decodePathSegment(match[index + 1]);
+                });
+                return { page: route.name, params };
+            }
         }
+        return { page: NOT_FOUND_ROUTE, params: { ...params, path } };
+    }
+
+    // The inverse of parseHash: fill the route's path pattern in from params, and put the rest in the query
+    buildHash(page, params = {}) {
+        const { path, keys } = this.routes.get(page);
+        const pathParams = new Set(keys);
+        const filledPath = path.replace(/:(\w+)/g, (match, key) => encodeURIComponent(params[key] || ''));
+        const query = Object.entries(params)
+            .filter(([key, value]) => value && !pathParams.has(key))
+            .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+            .join('&');
+        return `#${filledPath}${query ? `?${query}` : ''}`;
+    }
+
+    // The route a pre-rendered page was built for, from data-route on #page-content. Used when
+    // the URL has no hash, e.g. "/tools/proton-vpn/" is "#tools/proton-vpn".
+    getPrerenderedHash() {
+        const pageContent = document.getElementById('page-content');
+        return pageContent && pageContent.dataset.route ? `#${pageContent.dataset.route}` : '';
     }
 
+    async navigateTo(page, params = this.pageParams[page] || {}) {
+        if (!this.routes.has(page)) return;
+        
+        const target = await this.resolveNavigation(page, params);
+        if (!target) return;
+        
+        this.saveScrollPosition();
+        history.pushState(target, '', this.buildHash(target.page, target.params));
+        await this.showRoute(target.page, target.params, { focus: true, scrollTo: 0 });
+    }
+
+    // Update the current page's parameters in place, without adding a history entry
+    replaceParams(params) {
+        this.currentParams = params;
+        this.pageParams[this.currentPage] = params;
+        this.currentHash = this.buildHash(this.currentPage, params);
+        history.replaceState({ page: this.currentPage, params }, '', this.currentHash);
+    }
+
+    // Render the page in the address bar, on first load and after back/forward
     async handleRoute() {
-        const hash = window.location.hash.slice(1) || 'home';
-        if (this.routes[hash]) {
-            this.currentPage = hash;
-            this.updateActiveNav(hash);
-            await this.renderPage(hash);
-        } else {
-            this.navigateTo('home');
+        const { page, params } = this.parseHash(window.location.hash || this.getPrerenderedHash());
+        
+        const target = await this.resolveNavigation(page, params);
+        if (!target) {
+            // A hook kept the current page, so put its address back
+            if (this.currentHash !== null) {
+                history.replaceState({ page: this.currentPage, params: this.currentParams }, '', this.currentHash || window.location.pathname);
+            }
+            return;
+        }
+        if (target.page !== page || target.params !== params) {
+            history.replaceState(target, '', this.buildHash(target.page, target.params));
+        }
+        
+        // Back/forward to another page moves focus like a link would and returns to where the
+        // page was scrolled to; the first load leaves both alone
+        const isReturn = this.currentHash !== null;
+        this.saveScrollPosition();
+        await this.showRoute(target.page, target.params, {
+            focus: isReturn && target.page !== this.currentPage,
+            scrollTo: isReturn ? this.scrollPositions.get(window.location.hash) || 0 : null
+        });
+    }
+
+    // Run the global and then the route's own before hooks for a navigation. A hook may return
+    // (or resolve to) false to stay on the current page, or { page, params } to go elsewhere,
+    // whose hooks then run in turn. Resolves to the { page, params } to show, or null.
+    async resolveNavigation(page, params) {
+        const from = this.currentHash !== null ? this.currentPage : null;
+        
+        for (let redirects = 0; redirects <= MAX_ROUTE_REDIRECTS; redirects++) {
+            const route = this.routes.get(page);
+            let redirect = null;
+            
+            for (const hook of [...this.hooks.before, route.before].filter(Boolean)) {
+                const result = await hook.call(this, { page, params, from });
+                if (result === false) return null;
+                if (result && this.routes.has(result.page)) {
+                    redirect = result;
+                    break;
+                }
+            }
+            if (!redirect) return { page, params };
+            
+            page = redirect.page;
+            params = redirect.params || {};
+        }
+        
+        console.error(`[Router] Gave up after ${MAX_ROUTE_REDIRECTS} redirects, ending at "${page}"`);
+        return null;
+    }
+
+    // Make a page current and render it, then move focus and scroll as asked and run the after
+    // hooks. Resolves to false if a newer navigation replaced the page while it was loading.
+    async showRoute(page, params, { focus = false, scrollTo = null } = {}) {
+        this.currentPage = page;
+        this.currentParams = params;
+        this.pageParams[page] = params;
+        this.updateActiveNav(page);
+        
+        if (!(await this.renderPage(page))) return false;
+        this.currentHash = window.location.hash;
+        
+        if (focus) this.focusPage();
+        if (scrollTo !== null) window.scrollTo(0, scrollTo);
+        
+        const route = this.routes.get(page);
+        for (const hook of [...this.hooks.after, route.after].filter(Boolean)) {
+            await hook.call(this, { page, params });
+        }
+        return true;
+    }
+
+    // Remember how far down the page on screen is scrolled, before leaving it
+    saveScrollPosition() {
+        if (this.currentHash !== null) {
+            this.scrollPositions.set(this.currentHash, window.scrollY);
         }
     }
 
     updateActiveNav(page) {
+        const { section } = this.routes.get(page);
         const navLinks = document.querySelectorAll('.nav-link');
         navLinks.forEach(link => {
             link.classList.remove('active');
-            if (link.getAttribute('data-page') === page) {
+            link.removeAttribute('aria-current');
+            if (link.getAttribute('data-page') === section) {
                 link.classList.add('active');
+                link.setAttribute('aria-current', 'page');
             }
         });
     }
 
+    // After a route change, move focus to the new page's heading so screen readers announce it
+    // and keyboard users continue from the top of the new content
+    focusPage() {
+        const heading = document.querySelector('#page-content .page-title');
+        if (heading) {
+            heading.focus({ preventScroll: true });
+        }
+    }
+
+    // Render a page into #page-content. The content is marked busy while the page's data or
+    // module loads, which shows the loading bar. Resolves to false, leaving the page alone, if
+    // another render started in the meantime.
     async renderPage(page) {
-        const content = await this.routes[page].call(this);
+        const renderId = ++this.renderCount;
         const pageContent = document.getElementById('page-content');
+        pageContent.setAttribute('aria-busy', 'true');
+        
+        let content;
+        try {
+            content = await this.renderContent(page);
+        } catch (error) {
+            console.error(`[Router] Failed to render "${page}":`, error);
+            content = this.renderRouteError(page, error);
+        }
+        if (renderId !== this.renderCount) return false;
+        
+        pageContent.removeAttribute('aria-busy');
         pageContent.innerHTML = content;
         
+        const { title, description } = this.getPageMeta(page);
+        document.title = title;
+        const metaDescription = document.querySelector('meta[name="description"]');
+        if (metaDescription) {
+            metaDescription.setAttribute('content', description);
+        }
+        
         // Re-setup page links after content changes
         this.setupPageLinks();
+        return true;
+    }
+
+    // HTML for a page with the current params, importing the page's module first if it has one.
+    // Shared with the pre-render build.
+    async renderContent(page) {
+        const route = this.routes.get(page);
+        if (!route.render) {
+            // Kept once loaded; a failed import is retried on the next visit
+            const module = await route.load();
+            route.render = module.default;
+        }
+        return route.render.call(this);
+    }
+
+    // Document title and meta description for a rendered page, shared with the pre-render build
+    getPageMeta(page) {
+        const route = this.routes.get(page);
+        const resolve = value => (typeof value === 'function' ? value.call(this) : value);
+        return {
+            title: page === 'home' ? 'dmeim' : `${resolve(route.title)} · dmeim`,
+            description: resolve(route.description)
+        };
     }
 
-    renderHome() {
+    // Home page dashboard, built from the loaded data: counts, a daily utility spotlight, the
+    // latest changes, a tag cloud and a search box. Parts whose data failed to load are left out.
+    async renderHome() {
+        const tools = this.getToolsFilter();
+        const projects = this.getProjectsFilter();
+        const profiles = this.getProfilesFilter();
+        await Promise.all([tools.initialize(), projects.initialize(), profiles.initialize()]);
+        if (!window.quickSearch) {
+            window.quickSearch = new QuickSearch(this);
+        }
+        
         return `
             <div class="page-header">
-                <h1 class="page-title">Welcome</h1>
+                <h1 class="page-title" tabindex="-1">Welcome</h1>
                 <p class="page-subtitle">
                     Developer, tinkerer, and privacy advocate. Building tools and exploring the digital frontier.
                 </p>
             </div>
-            <div class="cards-grid">
-                <div class="card">
-                    <h3 class="card-title">🚀 Projects</h3>
-                    <p class="card-description">
-                        Explore my latest projects and contributions to the open-source community.
-                    </p>
-                    <a href="#projects" class="card-link" data-page="projects">View Projects</a>
+            ${this.renderHomeStats(tools, projects, profiles)}
+            ${window.quickSearch.render()}
+            <div class="home-grid">
+                ${tools.loadError || this.isStatic ? '' : this.renderSpotlight(tools)}
+                ${await this.renderWhatsNew()}
+            </div>
+            ${tools.loadError ? '' : this.renderTagCloud(tools)}
+        `;
+    }
+
+    renderHomeStats(tools, projects, profiles) {
+        const count = (value, singular, plural) => `<span class="home-stat-value">${value}</span> ${value === 1 ? singular : plural}`;
+        const stats = [
+            tools.loadError ? '' : `<a href="#tools" class="home-stat" data-page="tools">${count(tools.items.length, 'utility', 'utilities')}</a>`,
+            tools.loadError ? '' : `<a href="#tools" class="home-stat" data-page="tools">${count(tools.allCategories.length, 'category', 'categories')}</a>`,
+            projects.loadError ? '' : `<a href="#projects" class="home-stat" data-page="projects">${count(projects.items.length, 'project', 'projects')}</a>`,
+            profiles.loadError ? '' : `<a href="#profiles" class="home-stat" data-page="profiles">${count(profiles.items.length, 'profile', 'profiles')}</a>`
+        ].filter(Boolean);
+        if (stats.length === 0) return '';
+        
+        return `
+            <ul class="home-stats" aria-label="At a glance">
+                ${stats.map(stat => `<li>${stat}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // Today's utility (see getDailySpotlight) with its facts and the start of its description
+    renderSpotlight(filter) {
+        const tool = getDailySpotlight(filter.items);
+        if (!tool) return '';
+        
+        const about = tool.long_description ? tool.long_description.split(/\n\s*\n/)[0] : tool.description;
+        return `
+            <section class="home-spotlight" aria-labelledby="home-spotlight-title">
+                <h2 class="home-section-title" id="home-spotlight-title">Utility spotlight</h2>
+                <p class="home-spotlight-category">${escapeHtml(tool.category)}</p>
+                <h3 class="home-spotlight-name">
+                    <a href="#tools/${escapeHtml(tool.slug)}" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(tool.slug))}">${escapeHtml(tool.name)}</a>
+                </h3>
+                <p class="home-spotlight-description">${escapeHtml(about)}</p>
+                ${filter.renderFactBadges(tool)}
+                <a href="#tools/${escapeHtml(tool.slug)}" class="card-link" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(tool.slug))}">More about ${escapeHtml(tool.name)}</a>
+            </section>
+        `;
+    }
+
+    // The most used tags, sized by how many utilities have them, each opening Utilities filtered by it
+    renderTagCloud(filter) {
+        const tags = getTagCloud(filter.items);
+        if (tags.length === 0) return '';
+        
+        return `
+            <section class="home-tag-cloud" aria-labelledby="home-tag-cloud-title">
+                <h2 class="home-section-title" id="home-tag-cloud-title">Browse by tag</h2>
+                <ul class="tag-cloud">
+                    ${tags.map(({ tag, count, weight }) => `
+                        <li>
+                            <a href="#tools?tags=${escapeHtml(encodeURIComponent(tag))}" class="tag-cloud-tag tag-cloud-weight-${weight}" data-page="tools" data-params="tags=${escapeHtml(encodeURIComponent(tag))}">
+                                ${escapeHtml(TAG_TAXONOMY.getLabel(tag))}<span class="visually-hidden">, ${count} ${count === 1 ? 'utility' : 'utilities'}</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    // The latest additions and updates to the Utilities list, or nothing if none are dated or the
+    // list couldn't be loaded
+    async renderWhatsNew() {
+        const filter = this.getToolsFilter();
+        await filter.initialize();
+        const changes = filter.loadError ? [] : getRecentChanges(filter.items, WHATS_NEW_COUNT);
+        if (changes.length === 0) return '';
+        
+        const feed = getFeedLink();
+        return `
+            <section class="whats-new" aria-labelledby="whats-new-title">
+                <div class="whats-new-header">
+                    <h2 class="whats-new-title" id="whats-new-title">What's new</h2>
+                    <a href="#tools?sort=recent" class="whats-new-more" data-page="tools" data-params="sort=recent">All by date added</a>
+                    ${feed ? `<a href="${escapeHtml(feed)}" class="whats-new-feed" type="application/atom+xml">Subscribe</a>` : ''}
                 </div>
+                <ul class="whats-new-list">
+                    ${changes.map(({ tool, change, date }) => `
+                        <li class="whats-new-item">
+                            <a href="#tools/${escapeHtml(tool.slug)}" class="similar-tool-name" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(tool.slug))}">${escapeHtml(tool.name)}</a>
+                            <span class="whats-new-change">${change === 'added' ? 'Added' : 'Updated'} <time datetime="${escapeHtml(date)}">${escapeHtml(formatDay(date))}</time></span>
+                            <span class="whats-new-description">${escapeHtml(tool.description)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    renderNotFound() {
+        const { path } = this.currentParams;
+        return `
+            <div class="page-header">
+                <h1 class="page-title" tabindex="-1">Page not found</h1>
+                <p class="page-subtitle">
+                    ${path ? `There's no page at <code>#${escapeHtml(path)}</code>.` : "The page you're looking for doesn't exist."}
+                    It may have moved, or the link may have a typo.
+                </p>
+            </div>
+            <div class="cards-grid">
                 <div class="card">
-                    <h3 class="card-title">🔗 Connect</h3>
-                    <p class="card-description">
-                        Find me across various platforms and social networks.
-                    </p>
-                    <a href="#profiles" class="card-link" data-page="profiles">My Profiles</a>
+                    <h3 class="card-title">🏠 Home</h3>
+                    <p class="card-description">Start again from the front page.</p>
+                    <a href="#home" class="card-link" data-page="home">Go home</a>
                 </div>
                 <div class="card">
                     <h3 class="card-title">🛠️ Utilities</h3>
-                    <p class="card-description">
-                        Quick access to useful utilities I recommend.
-                    </p>
+                    <p class="card-description">Search the list of recommended utilities.</p>
                     <a href="#tools" class="card-link" data-page="tools">Browse Utilities</a>
                 </div>
             </div>
         `;
     }
 
-    renderProjects() {
+    // Shown in place of a page that failed to render, e.g. when its module couldn't be loaded offline
+    renderRouteError(page, error) {
+        const params = new URLSearchParams(Object.entries(this.currentParams).filter(([, value]) => value)).toString();
         return `
             <div class="page-header">
-                <h1 class="page-title">Projects</h1>
-                <p class="page-subtitle">
-                    A collection of my work and contributions to open source projects.
-                </p>
+                <h1 class="page-title" tabindex="-1">Couldn't load this page</h1>
             </div>
-            <div class="cards-grid">
-                <div class="card">
-                    <h3 class="card-title">Clean Browsing</h3>
-                    <p class="card-description">
-                        A privacy-focused browsing solution that helps users maintain clean, 
-                        secure, and private web browsing experiences. Features advanced tracking 
-                        protection, ad blocking, and privacy tools designed to enhance your 
-                        digital security and browsing performance.
-                    </p>
-                    <a href="https://github.com/dmeim/clean-browsing" class="card-link" target="_blank" rel="noopener">
-                        View on GitHub →
-                    </a>
+            <div class="status-panel status-error">
+                <p class="status-message">${escapeHtml(error.message)}</p>
+                <a href="${escapeHtml(this.buildHash(page, this.currentParams))}" class="card-link" data-page="${escapeHtml(page)}" data-params="${escapeHtml(params)}">Try again</a>
+            </div>
+        `;
+    }
+
+    // Shared layout for pages backed by a FilterManager: header, load error or filters plus results
+    async renderFilterablePage(filter, header) {
+        // Ensure data is loaded, then restore any filters encoded in the URL
+        await filter.initialize();
+        
+        if (filter.loadError) {
+            return `${header}<div data-filter="${filter.instanceName}">${filter.renderLoadError()}</div>`;
+        }
+        
+        filter.applyRouteParams(this.currentParams);
+        
+        // data-filter routes the page's data-action events to this filter (see setupActions)
+        return `
+            ${header}
+            
+            <div class="filterable-page" data-filter="${filter.instanceName}">
+                ${filter.renderQuarantineNotice()}
+                
+                ${filter.renderFilterUI()}
+                
+                <div class="tools-results">
+                    ${filter.renderTools()}
+                </div>
+                
+                ${filter.comparable ? `<div class="compare-tray-container">${filter.renderCompareTray()}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderProjectCard(project, filter) {
+        const dates = [
+            project.date_started ? `Started ${formatDate(project.date_started)}` : '',
+            project.date_updated ? `Updated ${formatDate(project.date_updated)}` : ''
+        ].filter(Boolean);
+        
+        return `
+            <div class="card project-card" data-tags="${escapeHtml(project.tags.join(','))}" tabindex="-1" role="article" aria-label="${escapeHtml(project.name)}">
+                <div class="card-title-row">
+                    <h3 class="card-title">${project.icon ? `${escapeHtml(project.icon)} ` : ''}${filter.highlight(project.name, project)}</h3>
+                    <span class="status-badge status-${escapeHtml(project.status)}">${PROJECT_STATUS_LABELS[project.status]}</span>
+                </div>
+                <p class="card-description">${filter.highlight(project.description, project)}</p>
+                <div class="tool-tags">
+                    ${project.tags.map(tag => `<span class="tool-tag">${filter.highlight(TAG_TAXONOMY.getLabel(tag), project)}</span>`).join('')}
+                </div>
+                ${dates.length > 0 ? `<p class="card-meta">${dates.join(' · ')}</p>` : ''}
+                <div class="card-links">
+                    ${project.links.map(link => `
+                        <a href="${safeUrl(link.url)}" class="card-link" target="_blank" rel="noopener">
+                            ${escapeHtml(link.label)} →
+                        </a>
+                    `).join('')}
                 </div>
             </div>
         `;
     }
 
-    renderProfiles() {
+    renderProfileCard(profile, filter) {
         return `
+            <div class="profile-card" data-tags="${escapeHtml(profile.tags.join(','))}" tabindex="-1" role="article" aria-label="${escapeHtml(profile.name)}">
+                <div class="profile-icon" aria-hidden="true">
+                    <span>${escapeHtml(profile.icon || '🔗')}</span>
+                </div>
+                <h3 class="profile-name">${filter.highlight(profile.name, profile)}</h3>
+                <p class="profile-description">
+                    ${filter.highlight(profile.description, profile)}
+                </p>
+                <div class="tool-tags">
+                    ${profile.tags.map(tag => `<span class="tool-tag">${filter.highlight(TAG_TAXONOMY.getLabel(tag), profile)}</span>`).join('')}
+                </div>
+                ${profile.links.map(link => `
+                    <a href="${safeUrl(link.url)}" class="profile-link" target="_blank" rel="noopener">
+                        ${escapeHtml(link.label)}
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // The Projects filter manager, shared by the Projects and Home pages
+    getProjectsFilter() {
+        if (!window.projectsFilter) {
+            window.projectsFilter = new FilterManager({
+                page: 'projects',
+                instanceName: 'projectsFilter',
+                title: 'Projects',
+                load: loadProjectsData,
+                renderCard: (project, filter) => this.renderProjectCard(project, filter),
+                gridClass: 'cards-grid'
+            });
+        }
+        return window.projectsFilter;
+    }
+
+    async renderProjects() {
+        return this.renderFilterablePage(this.getProjectsFilter(), `
             <div class="page-header">
-                <h1 class="page-title">Connect</h1>
+                <h1 class="page-title" tabindex="-1">Projects</h1>
                 <p class="page-subtitle">
-                    Find me across various platforms and networks.
+                    A collection of my work and contributions to open source projects.
                 </p>
             </div>
-            <div class="profiles-grid">
-                <div class="profile-card">
-                    <div class="profile-icon">
-                        <span>📂</span>
-                    </div>
-                    <h3 class="profile-name">GitHub</h3>
-                    <p class="profile-description">
-                        My code repositories, contributions, and open source projects.
-                    </p>
-                    <a href="https://github.com/dmeim" class="profile-link" target="_blank" rel="noopener">
-                        Visit Profile
-                    </a>
-                </div>
+        `);
+    }
+
+    getProfilesFilter() {
+        if (!window.profilesFilter) {
+            window.profilesFilter = new FilterManager({
+                page: 'profiles',
+                instanceName: 'profilesFilter',
+                title: 'Profiles',
+                load: loadProfilesData,
+                renderCard: (profile, filter) => this.renderProfileCard(profile, filter),
+                gridClass: 'profiles-grid'
+            });
+        }
+        return window.profilesFilter;
+    }
+
+    async renderProfiles() {
+        return this.renderFilterablePage(this.getProfilesFilter(), `
+            <div class="page-header">
+                <h1 class="page-title" tabindex="-1">Connect</h1>
+                <p class="page-subtitle">
+                    Find me across various platforms and networks.
+                </p>
             </div>
-        `;
+        `);
     }
 
-    async renderTools() {
+    // The Utilities filter manager, shared by the Utilities and Compare pages
+    getToolsFilter() {
         // Initialize filter manager if not already done
         if (!window.toolsFilter) {
-            window.toolsFilter = new FilterManager();
+            window.toolsFilter = new FilterManager({ collections: window.collectionManager, comparable: true, exportable: true });
         }
-        
-        // Ensure data is loaded
-        await window.toolsFilter.initialize();
-        
-        return `
+        return window.toolsFilter;
+    }
+
+    async renderTools() {
+        return this.renderFilterablePage(this.getToolsFilter(), `
             <div class="page-header">
-                <h1 class="page-title">Utilities</h1>
+                <h1 class="page-title" tabindex="-1">Utilities</h1>
                 <p class="page-subtitle">
                     Curated utilities I recommend for privacy, security, and development.
                 </p>
+                ${isEditorEnabled() ? '<a href="#editor" class="page-header-link" data-page="editor">Edit utilities</a>' : ''}
+            </div>
+        `);
+    }
+
+    // Detail page for one utility, found by the slug in "#tools/<slug>"
+    async renderTool() {
+        const filter = this.getToolsFilter();
+        await filter.initialize();
+        
+        const tool = filter.items.find(item => item.slug === this.currentParams.slug) || null;
+        this.currentTool = tool;
+        const backLink = '<a href="#tools" class="page-back-link" data-page="tools">← Utilities</a>';
+        
+        if (filter.loadError) {
+            return `
+                <div class="page-header">
+                    ${backLink}
+                    <h1 class="page-title" tabindex="-1">Utility</h1>
+                </div>
+                <div data-filter="toolsFilter">${filter.renderLoadError()}</div>
+            `;
+        }
+        
+        if (!tool) {
+            return `
+                <div class="page-header">
+                    ${backLink}
+                    <h1 class="page-title" tabindex="-1">Utility not found</h1>
+                </div>
+                <div class="status-panel">
+                    <h3 class="status-title">No utility matches "${escapeHtml(this.currentParams.slug || '')}"</h3>
+                    <p class="status-message">It may have been renamed or removed from the list.</p>
+                    <a href="#tools" class="card-link" data-page="tools">Browse Utilities</a>
+                </div>
+            `;
+        }
+        
+        const { alternatives, related } = filter.getSimilarTools(tool);
+        const fact = (label, value) => value ? `<dt>${label}</dt><dd>${value}</dd>` : '';
+        const brokenLinkWarning = '<span class="link-warning" title="The last link check couldn\'t reach this link">⚠ link may be broken</span>';
+        const similarList = (title, matches, emptyMessage) => `
+            <section class="tool-detail-section">
+                <h2 class="tool-detail-heading">${title}</h2>
+                ${matches.length > 0 ? `
+                    <ul class="similar-tools">
+                        ${matches.map(({ tool: other, shared }) => `
+                            <li class="similar-tool">
+                                <a href="#tools/${escapeHtml(other.slug)}" class="similar-tool-name" data-page="tool" data-params="slug=${escapeHtml(encodeURIComponent(other.slug))}">${escapeHtml(other.name)}</a>
+                                <span class="similar-tool-description">${escapeHtml(other.description)}</span>
+                                <span class="similar-tool-shared">Shares ${shared.map(tag => escapeHtml(TAG_TAXONOMY.getLabel(tag))).join(', ')}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : `<p class="status-message">${emptyMessage}</p>`}
+            </section>
+        `;
+        
+        return `
+            <div class="page-header">
+                ${backLink}
+                <h1 class="page-title" tabindex="-1">${escapeHtml(tool.name)}</h1>
+                <p class="page-subtitle">${escapeHtml(tool.description)}</p>
             </div>
             
-            ${window.toolsFilter.renderFilterUI()}
-            
-            <div class="tools-grid">
-                ${window.toolsFilter.renderTools()}
+            <div class="tool-detail" data-filter="toolsFilter">
+                ${tool.long_description ? `
+                    <div class="tool-detail-description">
+                        ${tool.long_description.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`).join('')}
+                    </div>
+                ` : ''}
+                <dl class="tool-detail-facts">
+                    <dt>Category</dt>
+                    <dd>${escapeHtml(tool.category)}</dd>
+                    ${fact('Platforms', tool.platforms.map(platform => escapeHtml(PLATFORM_LABELS[platform] || platform)).join(', '))}
+                    ${fact('License', escapeHtml(tool.license))}
+                    ${fact('Pricing', escapeHtml(PRICING_LABELS[tool.pricing] || tool.pricing))}
+                    ${fact('Jurisdiction', tool.jurisdiction ? escapeHtml(FACETS.jurisdiction.describe(tool.jurisdiction)) : '')}
+                    ${fact('Open-source clients', getYesNo(tool.open_source_clients).map(FACETS.clients.describe).join(''))}
+                    ${fact('Open-source server', getYesNo(tool.open_source_server).map(FACETS.server.describe).join(''))}
+                    ${fact('Security audit', getYesNo(tool.audited).map(FACETS.audited.describe).join(''))}
+                    ${fact('Added', tool.date_added ? escapeHtml(formatDay(tool.date_added)) : '')}
+                    ${fact('Updated', tool.date_updated ? escapeHtml(formatDay(tool.date_updated)) : '')}
+                    <dt>Website</dt>
+                    <dd>
+                        <a href="${safeUrl(tool.url_project)}" target="_blank" rel="noopener">${escapeHtml(filter.getGitHost(tool.url_project))}</a>
+                        ${filter.isLinkBroken(tool, 'url_project') ? brokenLinkWarning : ''}
+                    </dd>
+                    <dt>Source</dt>
+                    <dd>
+                        ${tool.url_git ? `
+                            <a href="${safeUrl(tool.url_git)}" class="compare-git-link" target="_blank" rel="noopener" title="${escapeHtml(filter.getGitTitle(tool.url_git))}">
+                                <img src="${escapeHtml(filter.getGitIcon(tool.url_git))}" alt="" class="compare-git-icon">
+                                ${escapeHtml(getForge(tool.url_git).label)} · ${escapeHtml(filter.getGitHost(tool.url_git))}
+                            </a>
+                        ` : '<span class="compare-missing">Not published</span>'}
+                        ${filter.isLinkBroken(tool, 'url_git') ? brokenLinkWarning : ''}
+                    </dd>
+                    <dt>Tags</dt>
+                    <dd class="tool-tags">
+                        ${tool.tags.map(tag => `
+                            <a href="#tools?tags=${escapeHtml(encodeURIComponent(tag))}" class="tool-tag tool-tag-link" data-page="tools" data-params="tags=${escapeHtml(encodeURIComponent(tag))}" title="All utilities tagged ${escapeHtml(TAG_TAXONOMY.getLabel(tag))}">${escapeHtml(TAG_TAXONOMY.getLabel(tag))}</a>
+                        `).join('')}
+                    </dd>
+                </dl>
+                
+                ${similarList('Alternatives', alternatives, `Nothing else in ${escapeHtml(tool.category)} yet.`)}
+                ${similarList('Related utilities', related, 'No utilities in other categories share enough tags.')}
             </div>
         `;
     }
@@ -643,8 +3819,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize theme manager first
     const themeManager = new ThemeManager();
     
+    // Favorites and collections must exist before the Utilities page renders
+    window.collectionManager = new CollectionManager();
+    
+    // Offline banner and service worker
+    window.offlineManager = new OfflineManager();
+    
+    // Shortcuts and card navigation
+    window.keyboardManager = new KeyboardManager();
+    
     // Initialize router
     const router = new Router();
+    router.init();
     
     // Failsafe: Re-initialize theme manager after router setup
     setTimeout(() => {
@@ -654,17 +3840,22 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Make both globally accessible for debugging
     window.router = router;
-    console.log('[App] Application initialized. Global objects: window.themeManager, window.router');
+    console.log('[App] Application initialized. Global objects: window.themeManager, window.collectionManager, window.offlineManager, window.keyboardManager, window.router');
 });
 
-// Add smooth scrolling for any internal links
+// Add smooth scrolling for any internal links. Handling the click here also keeps in-page
+// targets such as the skip link's "#page-content" out of the hash, where the router would
+// read them as a route.
 document.addEventListener('click', (e) => {
     if (e.target.matches('a[href^="#"]')) {
         e.preventDefault();
         const targetId = e.target.getAttribute('href').slice(1);
         const targetElement = document.getElementById(targetId);
         if (targetElement) {
-            targetElement.scrollIntoView({ behavior: 'smooth' });
+            const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            targetElement.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth' });
+            // Move focus too, so skip links take keyboard users to the target
+            targetElement.focus({ preventScroll: true });
         }
     }
 });
\ No newline at end of file
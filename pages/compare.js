@@ -0,0 +1,111 @@
+// Compare page: the selected utilities side by side. Loaded by the router the first time the
+// page is visited (see the "compare" route in app.js) and called with the Router as `this`,
+// like the render methods defined on it. Helpers such as escapeHtml and TAG_TAXONOMY are the
+// globals app.js declares.
+
+export default async function renderCompare() {
+    const filter = this.getToolsFilter();
+    await filter.initialize();
+    
+    const header = `
+        <div class="page-header">
+            <h1 class="page-title" tabindex="-1">Compare</h1>
+            <p class="page-subtitle">
+                Selected utilities side by side, with the tags they share and the ones that set them apart.
+            </p>
+        </div>
+    `;
+    
+    if (filter.loadError) {
+        return `${header}<div data-filter="toolsFilter">${filter.renderLoadError()}</div>`;
+    }
+    
+    if (this.currentParams.tools !== undefined) {
+        filter.setCompareSelection(this.currentParams.tools.split(','));
+        // Links from before ids were used list names; show the address with ids instead
+        const ids = filter.compareSelection.join(',');
+        if (ids !== this.currentParams.tools) {
+            this.replaceParams({ tools: ids });
+        }
+    }
+    const tools = filter.compareSelection.map(id => filter.findItem(id));
+    
+    if (tools.length < 2) {
+        return `
+            ${header}
+            <div class="status-panel">
+                <h3 class="status-title">Pick at least two utilities to compare</h3>
+                <p class="status-message">Tick "Compare" on up to ${MAX_COMPARE_TOOLS} cards on the Utilities page.</p>
+                <a href="#tools" class="card-link" data-page="tools">Browse Utilities</a>
+            </div>
+        `;
+    }
+    
+    // Order tags so the most widely shared come first
+    const tagCounts = new Map();
+    tools.forEach(tool => tool.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    const tags = Array.from(tagCounts.keys()).sort((a, b) => tagCounts.get(b) - tagCounts.get(a) || a.localeCompare(b));
+    
+    const row = (label, renderCell) => `
+        <tr>
+            <th scope="row">${label}</th>
+            ${tools.map(tool => `<td>${renderCell(tool)}</td>`).join('')}
+        </tr>
+    `;
+    
+    return `
+        ${header}
+        
+        <div class="compare-table-wrapper" data-filter="toolsFilter">
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><a href="#tools" data-page="tools">← Utilities</a></th>
+                        ${tools.map(tool => `
+                            <th scope="col">
+                                <span class="compare-tool-name">${escapeHtml(tool.name)}</span>
+                                <button class="compare-remove-btn" data-id="${escapeHtml(tool.id)}" title="Remove from comparison" aria-label="Remove ${escapeHtml(tool.name)} from comparison"
+                                        data-action="toggleCompare">&times;</button>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('Category', tool => escapeHtml(tool.category))}
+                    ${row('Description', tool => escapeHtml(tool.description))}
+                    ${row('Website', tool => `<a href="${safeUrl(tool.url_project)}" target="_blank" rel="noopener">${escapeHtml(filter.getGitHost(tool.url_project))}</a>`)}
+                    ${row('Source', tool => tool.url_git ? `
+                        <a href="${safeUrl(tool.url_git)}" class="compare-git-link" target="_blank" rel="noopener" title="${escapeHtml(filter.getGitTitle(tool.url_git))}">
+                            <img src="${escapeHtml(filter.getGitIcon(tool.url_git))}" alt="" class="compare-git-icon">
+                            ${escapeHtml(filter.getGitHost(tool.url_git))}
+                        </a>
+                    ` : '<span class="compare-missing">Not published</span>')}
+                    ${Object.values(FACETS).map(({ label, values, describe }) => row(escapeHtml(label), tool => {
+                        const described = values(tool).map(describe);
+                        return described.length > 0 ? escapeHtml(described.join(', ')) : '<span class="compare-missing">Not known</span>';
+                    })).join('')}
+                </tbody>
+                <tbody class="compare-tags">
+                    <tr class="compare-section-row">
+                        <th scope="rowgroup" colspan="${tools.length + 1}">
+                            Tags
+                            <span class="compare-legend"><span class="legend-shared">shared by all</span> <span class="legend-unique">unique to one</span></span>
+                        </th>
+                    </tr>
+                    ${tags.map(tag => {
+                        const count = tagCounts.get(tag);
+                        const rowClass = count === tools.length ? 'tag-shared' : count === 1 ? 'tag-unique' : '';
+                        return `
+                            <tr class="${rowClass}">
+                                <th scope="row">${escapeHtml(TAG_TAXONOMY.getLabel(tag))}</th>
+                                ${tools.map(tool => `
+                                    <td class="compare-cell">${tool.tags.includes(tag) ? '<span aria-label="yes">✓</span>' : '<span aria-label="no" class="compare-missing">—</span>'}</td>
+                                `).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
@@ -0,0 +1,702 @@
+// Utilities editor: add, edit, reorder and remove utilities.json entries in the browser, then
+// download the updated file to commit. Only reachable with the editor flag on (see
+// isEditorEnabled in app.js); loaded on demand like pages/compare.js and called with the Router
+// as `this`. The draft is kept in localStorage, so it survives reloads until it is discarded.
+
+// localStorage key of the draft: { base, entries }, where base fingerprints the utilities.json
+// the draft started from
+const DRAFT_KEY = 'utilitiesEditorDraft';
+
+// Unchanged lines shown around each change in the diff
+const DIFF_CONTEXT = 2;
+
+// Most tags suggested while typing in the tags field
+const MAX_TAG_SUGGESTIONS = 8;
+
+// Entry fields with a control in the form; problems with any other field are listed above it
+const FORM_FIELDS = ['name', 'url_project', 'url_git', 'description', 'tags', 'long_description', 'platforms', 'license', 'pricing', 'jurisdiction', 'open_source_clients', 'open_source_server', 'audited'];
+
+// Yes/no facts, picked from "Not known", "Yes" and "No"
+const YES_NO_FIELDS = {
+    open_source_clients: 'Open-source clients',
+    open_source_server: 'Open-source server',
+    audited: 'Independently audited'
+};
+
+// Short fingerprint of a file's text, to tell whether it changed since a draft was started
+function fingerprint(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return `${text.length}:${hash.toString(16)}`;
+}
+
+// Tags typed as a comma-separated list, e.g. "VPN, open-source" -> ['vpn', 'open-source']
+export function parseTags(text) {
+    return text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+// The utilities.json entry described by the editor form. Fields keep the order they had in
+// `previous`, so an entry saved without changes is written back exactly as it was; new fields
+// follow in schema order, and empty optional fields are left out.
+export function readEntryForm(form, previous = {}) {
+    const { elements } = form;
+    const values = {
+        name: elements.name.value.trim(),
+        url_project: elements.url_project.value.trim(),
+        url_git: elements.url_git.value.trim(),
+        description: elements.description.value.trim(),
+        tags: parseTags(elements.tags.value),
+        long_description: elements.long_description.value.trim(),
+        platforms: Array.from(form.querySelectorAll('input[name="platforms"]:checked'), input => input.value),
+        license: elements.license.value.trim(),
+        pricing: elements.pricing.value,
+        jurisdiction: elements.jurisdiction.value.trim().toLowerCase()
+    };
+    Object.keys(YES_NO_FIELDS).forEach(field => {
+        const { value } = elements[field];
+        values[field] = value === '' ? null : value === 'yes';
+    });
+    // Links that still point where they did keep the flags from the last link check
+    values.broken_links = (previous.broken_links || []).filter(field => values[field] === previous[field]);
+    
+    const entry = {};
+    new Set([...Object.keys(previous), ...Object.keys(UTILITY_SCHEMA.fields)]).forEach(field => {
+        if (!(field in values)) {
+            // Fields the editor doesn't know about are carried over untouched
+            if (field in previous) entry[field] = previous[field];
+            return;
+        }
+        const value = values[field];
+        const isEmpty = Array.isArray(value) ? value.length === 0 : value === '' || value === null;
+        if (!isEmpty || UTILITY_SCHEMA.fields[field].required) entry[field] = value;
+    });
+    return entry;
+}
+
+// Date a saved entry: a new one gets today's date_added and an id pinning its page address
+// (made unique against `takenSlugs`), and a changed one gets today's date_updated
+export function stampEntry(entry, previous, takenSlugs, today = new Date().toISOString().slice(0, 10)) {
+    if (!previous) {
+        return entry.name ? { id: uniqueSlug(slugify(entry.name), takenSlugs), ...entry, date_added: today } : entry;
+    }
+    if (JSON.stringify(entry) === JSON.stringify(previous)) return entry;
+    return { ...entry, date_updated: today };
+}
+
+// Line-by-line differences between two texts, as { type: 'same' | 'added' | 'removed', text,
+// oldLine, newLine } in order. Lines shared at the start and end are matched directly, so only
+// the changed middle goes through the longest-common-subsequence table.
+export function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    // lengths[i][j]: longest common subsequence of the middle lines from a[i] and b[j] on
+    const rows = endA - start;
+    const columns = endB - start;
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i][j] = a[start + i] === b[start + j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const lines = [];
+    let oldLine = 1;
+    let newLine = 1;
+    const push = (type, text) => {
+        lines.push({ type, text, oldLine: type === 'added' ? null : oldLine, newLine: type === 'removed' ? null : newLine });
+        if (type !== 'added') oldLine++;
+        if (type !== 'removed') newLine++;
+    };
+    
+    a.slice(0, start).forEach(text => push('same', text));
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < columns) {
+        if (i < rows && j < columns && a[start + i] === b[start + j]) {
+            push('same', a[start + i]);
+            i++;
+            j++;
+        } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            push('removed', a[start + i]);
+            i++;
+        } else {
+            push('added', b[start + j]);
+            j++;
+        }
+    }
+    a.slice(endA).forEach(text => push('same', text));
+    return lines;
+}
+
+export class UtilitiesEditor {
+    constructor(filter, storageKey = DRAFT_KEY) {
+        // The Utilities FilterManager, for tag suggestions and rendering the preview card
+        this.filter = filter;
+        this.storageKey = storageKey;
+        this.originalText = null;
+        this.entries = [];
+        // Whether the saved draft was started from a different version of utilities.json
+        this.isDraftStale = false;
+        // Index of the entry open in the form (entries.length for a new one), or null
+        this.editingIndex = null;
+        // The form's contents as an entry, and the problems found when it was last saved
+        this.formEntry = null;
+        this.formErrors = [];
+        // Whether the form has edits that haven't been saved to the draft
+        this.formDirty = false;
+        this.message = '';
+        this.loadError = null;
+    }
+
+    // Read utilities.json as text, so the download can be compared with it line by line, and
+    // pick up the saved draft if there is one
+    async initialize() {
+        if (this.originalText !== null) return;
+        
+        try {
+            const response = await fetch('./utilities.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.originalText = await response.text();
+            this.entries = JSON.parse(this.originalText);
+            this.loadError = null;
+        } catch (error) {
+            console.error('[UtilitiesEditor] Error loading utilities.json:', error);
+            this.originalText = null;
+            this.loadError = error;
+            return;
+        }
+        
+        const draft = this.loadDraft();
+        if (draft) {
+            this.entries = draft.entries;
+            this.isDraftStale = draft.base !== fingerprint(this.originalText);
+        }
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.storageKey));
+            return draft && Array.isArray(draft.entries) ? draft : null;
+        } catch (error) {
+            console.warn('[UtilitiesEditor] Ignoring unreadable saved draft:', error);
+            return null;
+        }
+    }
+
+    // Keep the draft while it differs from utilities.json, and drop it once it matches again
+    saveDraft() {
+        if (this.hasChanges()) {
+            localStorage.setItem(this.storageKey, JSON.stringify({ base: fingerprint(this.originalText), entries: this.entries }));
+        } else {
+            localStorage.removeItem(this.storageKey);
+            this.isDraftStale = false;
+        }
+    }
+
+    // utilities.json as it would be downloaded now
+    getText() {
+        return `${formatJson(this.entries)}\n`;
+    }
+
+    hasChanges() {
+        return this.getText() !== this.originalText;
+    }
+
+    // Tags to suggest: every tag in use and its groups, plus the ones tags.json defines
+    getTagOptions() {
+        const tags = new Set([...this.filter.extractAllTags(), ...Object.keys(TAG_TAXONOMY.definitions)]);
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    // Tags that complete the last one being typed, starting with the best matches
+    getTagSuggestions(text) {
+        const tags = text.split(',');
+        const partial = tags.pop().trim().toLowerCase();
+        if (!partial) return [];
+        
+        const chosen = new Set(parseTags(tags.join(',')));
+        const options = this.getTagOptions().filter(tag => tag !== partial && !chosen.has(tag));
+        const startsWith = options.filter(tag => tag.startsWith(partial));
+        const contains = options.filter(tag => !tag.startsWith(partial)
+            && (tag.includes(partial) || TAG_TAXONOMY.getLabel(tag).toLowerCase().includes(partial)));
+        return [...startsWith, ...contains].slice(0, MAX_TAG_SUGGESTIONS);
+    }
+
+    // Problems with an entry if it were saved at `index`, as [{ field, message }]. It is checked
+    // after every other entry, so a clashing name or URL is reported on this entry.
+    validateEntry(entry, index) {
+        const others = this.entries.filter((other, otherIndex) => otherIndex !== index);
+        const candidates = [...others, entry];
+        const { quarantined } = validateEntries(candidates, UTILITY_SCHEMA);
+        const problem = quarantined.find(item => item.index === others.length);
+        if (!problem) return [];
+        
+        const label = `Entry #${candidates.length}${typeof entry.name === 'string' ? ` ("${entry.name}")` : ''}: `;
+        return problem.errors.map(error => {
+            const message = (error.startsWith(label) ? error.slice(label.length) : error)
+                .replace(/already used by entry #(\d+)/, (match, number) => `already used by "${candidates[number - 1].name}"`);
+            const field = message.match(/^(?:duplicate )?"(\w+)"/);
+            return { field: field ? field[1] : null, message };
+        });
+    }
+
+    // Problems with each saved entry, by index
+    getEntryProblems() {
+        const problems = new Map();
+        validateEntries(this.entries, UTILITY_SCHEMA).quarantined.forEach(({ index, errors }) => problems.set(index, errors));
+        return problems;
+    }
+
+    handleAction(action, element) {
+        const index = Number(element.dataset.index);
+        
+        switch (action) {
+            case 'addEntry':
+                return this.startEdit(this.entries.length);
+            case 'editEntry':
+                return this.startEdit(index);
+            case 'cancelEdit':
+                return this.cancelEdit();
+            case 'saveEntry':
+                return this.saveEntry(element);
+            case 'updateForm':
+                return this.updateForm(element.form);
+            case 'addTagSuggestion':
+                return this.addTagSuggestion(element.dataset.tag);
+            case 'deleteEntry':
+                return this.deleteEntry(index);
+            case 'moveEntry':
+                return this.moveEntry(index, Number(element.dataset.offset));
+            case 'downloadJson':
+                return this.downloadJson();
+            case 'discardDraft':
+                return this.discardDraft();
+            default:
+                return undefined;
+        }
+    }
+
+    // Ask before throwing away edits in the form. Returns whether it's fine to go ahead.
+    confirmDiscardForm() {
+        if (!this.formDirty) return true;
+        const name = this.formEntry && this.formEntry.name;
+        return confirm(name ? `Discard your unsaved changes to "${name}"?` : 'Discard the utility you were adding?');
+    }
+
+    startEdit(index) {
+        if (!this.confirmDiscardForm()) return;
+        
+        this.editingIndex = index;
+        this.formEntry = index < this.entries.length ? { ...this.entries[index] } : {};
+        this.formErrors = [];
+        this.formDirty = false;
+        this.message = '';
+        this.refresh();
+        this.focus('#editor-name');
+    }
+
+    cancelEdit() {
+        if (!this.confirmDiscardForm()) return;
+        
+        const index = this.editingIndex;
+        this.closeForm();
+        this.refresh();
+        this.focus(`[data-action="editEntry"][data-index="${index}"]`, '[data-action="addEntry"]');
+    }
+
+    closeForm() {
+        this.editingIndex = null;
+        this.formEntry = null;
+        this.formErrors = [];
+        this.formDirty = false;
+    }
+
+    saveEntry(form) {
+        const index = this.editingIndex;
+        const previous = this.entries[index];
+        const takenSlugs = new Set(this.entries.map(other => other.id || slugify(other.name || '')));
+        const entry = stampEntry(readEntryForm(form, previous), previous, takenSlugs);
+        const errors = this.validateEntry(entry, index);
+        
+        if (errors.length > 0) {
+            this.formEntry = entry;
+            this.formErrors = errors;
+            this.refresh();
+            const firstField = errors.map(error => error.field).find(field => FORM_FIELDS.includes(field));
+            this.focus(firstField ? `#editor-${firstField}` : '#editor-name');
+            announce(`${errors.length} ${errors.length === 1 ? 'problem' : 'problems'} to fix before saving.`);
+            return;
+        }
+        
+        this.entries[index] = entry;
+        this.saveDraft();
+        this.closeForm();
+        this.message = `Saved "${entry.name}".`;
+        this.refresh();
+        this.focus(`[data-action="editEntry"][data-index="${index}"]`);
+        announce(this.message);
+    }
+
+    // Refresh the preview and tag suggestions as the form is filled in. The form itself isn't
+    // re-rendered, so focus and the caret stay where they are.
+    updateForm(form) {
+        this.formEntry = readEntryForm(form, this.entries[this.editingIndex]);
+        this.formDirty = true;
+        
+        const preview = document.getElementById('editor-preview');
+        if (preview) preview.innerHTML = this.renderPreview();
+        const suggestions = document.getElementById('editor-tag-suggestions');
+        if (suggestions) suggestions.innerHTML = this.renderTagSuggestions(form.elements.tags.value);
+    }
+
+    // Replace the tag being typed with a suggestion, ready for the next one
+    addTagSuggestion(tag) {
+        const input = document.getElementById('editor-tags');
+        if (!input) return;
+        
+        const tags = input.value.split(',');
+        tags.pop();
+        input.value = `${[...tags.map(item => item.trim()).filter(Boolean), tag].join(', ')}, `;
+        input.focus();
+        this.updateForm(input.form);
+    }
+
+    deleteEntry(index) {
+        const entry = this.entries[index];
+        if (!entry || !confirm(`Delete "${entry.name}" from utilities.json?`)) return;
+        
+        this.entries.splice(index, 1);
+        if (this.editingIndex === index) {
+            this.closeForm();
+        } else if (this.editingIndex !== null && this.editingIndex > index) {
+            this.editingIndex--;
+        }
+        this.saveDraft();
+        this.message = `Deleted "${entry.name}".`;
+        this.refresh();
+        this.focus(`[data-action="editEntry"][data-index="${Math.min(index, this.entries.length - 1)}"]`, '[data-action="addEntry"]');
+        announce(this.message);
+    }
+
+    // Move an entry up (offset -1) or down (offset 1) the list
+    moveEntry(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.entries.length) return;
+        
+        [this.entries[index], this.entries[target]] = [this.entries[target], this.entries[index]];
+        if (this.editingIndex === index) {
+            this.editingIndex = target;
+        } else if (this.editingIndex === target) {
+            this.editingIndex = index;
+        }
+        this.saveDraft();
+        this.message = '';
+        this.refresh();
+        this.focus(`[data-action="moveEntry"][data-index="${target}"][data-offset="${offset}"]:not(:disabled)`, `[data-action="editEntry"][data-index="${target}"]`);
+        announce(`Moved "${this.entries[target].name}" to position ${target + 1} of ${this.entries.length}.`);
+    }
+
+    downloadJson() {
+        const problems = this.getEntryProblems();
+        if (problems.size > 0 && !confirm(`${problems.size} ${problems.size === 1 ? 'entry has problems and' : 'entries have problems and'} would be skipped by the site. Download anyway?`)) return;
+        
+        downloadFile('utilities.json', this.getText(), 'application/json');
+        this.message = 'Downloaded utilities.json. Replace the file in the repository with it and commit to publish the changes.';
+        this.refresh();
+    }
+
+    discardDraft() {
+        if (!confirm('Discard every change in this draft and start again from utilities.json?')) return;
+        
+        this.entries = JSON.parse(this.originalText);
+        this.closeForm();
+        this.saveDraft();
+        this.message = 'Discarded the draft.';
+        this.refresh();
+        this.focus('[data-action="addEntry"]');
+    }
+
+    // Called before leaving the editor page; false keeps the visitor on it
+    confirmLeave() {
+        if (!this.confirmDiscardForm()) return false;
+        this.closeForm();
+        return true;
+    }
+
+    refresh() {
+        const container = document.getElementById('utilities-editor');
+        if (container) container.innerHTML = this.render();
+    }
+
+    // Focus the first of the selectors that matches something
+    focus(...selectors) {
+        const container = document.getElementById('utilities-editor');
+        const element = container && selectors.map(selector => container.querySelector(selector)).find(Boolean);
+        if (element) element.focus();
+    }
+
+    render() {
+        const problems = this.getEntryProblems();
+        const changes = diffLines(this.originalText, this.getText()).filter(line => line.type !== 'same');
+        const added = changes.filter(line => line.type === 'added').length;
+        
+        return `
+            <div class="editor-toolbar">
+                <p class="editor-summary">
+                    ${this.entries.length} ${this.entries.length === 1 ? 'utility' : 'utilities'} ·
+                    ${changes.length > 0 ? `${added} ${added === 1 ? 'line' : 'lines'} added, ${changes.length - added} removed` : 'no changes yet'}
+                    ${problems.size > 0 ? ` · <span class="editor-problem">${problems.size} with problems</span>` : ''}
+                </p>
+                <button type="button" class="clear-filters-btn" data-action="addEntry">Add utility</button>
+                <button type="button" class="collection-action-btn" data-action="downloadJson">Download utilities.json</button>
+                <button type="button" class="collection-action-btn" data-action="discardDraft" ${this.hasChanges() ? '' : 'disabled'}>Discard draft</button>
+            </div>
+            ${this.isDraftStale ? `
+                <div class="status-panel status-warning">
+                    utilities.json has changed since this draft was started. Check the changes below before downloading,
+                    as the download replaces the whole file.
+                </div>
+            ` : ''}
+            <p class="editor-message" role="status">${escapeHtml(this.message)}</p>
+            
+            ${this.editingIndex !== null ? this.renderForm() : ''}
+            
+            <ol class="editor-entries">
+                ${this.entries.map((entry, index) => this.renderEntry(entry, index, problems.get(index))).join('')}
+            </ol>
+            
+            ${this.renderDiff()}
+        `;
+    }
+
+    renderEntry(entry, index, problems = []) {
+        const name = typeof entry.name === 'string' && entry.name ? entry.name : `Entry #${index + 1}`;
+        const tags = Array.isArray(entry.tags) ? TAG_TAXONOMY.normalize(entry.tags) : [];
+        const isLast = index === this.entries.length - 1;
+        
+        return `
+            <li class="editor-entry${index === this.editingIndex ? ' editing' : ''}">
+                <span class="editor-entry-name">${escapeHtml(name)}</span>
+                <span class="editor-entry-category">${escapeHtml(getCategoryFromTags(tags))}</span>
+                ${problems.length > 0 ? `
+                    <span class="editor-problem" title="${escapeHtml(problems.join('\n'))}">⚠ ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'}</span>
+                ` : ''}
+                <span class="editor-entry-actions">
+                    <button type="button" class="collection-action-btn" data-action="moveEntry" data-index="${index}" data-offset="-1" aria-label="Move ${escapeHtml(name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="collection-action-btn" data-action="moveEntry" data-index="${index}" data-offset="1" aria-label="Move ${escapeHtml(name)} down" ${isLast ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="collection-action-btn" data-action="editEntry" data-index="${index}" aria-label="Edit ${escapeHtml(name)}">Edit</button>
+                    <button type="button" class="collection-action-btn" data-action="deleteEntry" data-index="${index}" aria-label="Delete ${escapeHtml(name)}">Delete</button>
+                </span>
+            </li>
+        `;
+    }
+
+    renderForm() {
+        const entry = this.formEntry;
+        const isNew = this.editingIndex === this.entries.length;
+        const value = field => escapeHtml(entry[field] || '');
+        const field = (name, label, control, hint = '') => {
+            const errors = this.formErrors.filter(error => error.field === name);
+            return `
+                <div class="editor-field${errors.length > 0 ? ' has-error' : ''}">
+                    <label for="editor-${name}">${label}</label>
+                    ${control(errors.length > 0 ? `aria-invalid="true" aria-describedby="editor-${name}-error"` : '')}
+                    ${hint ? `<p class="editor-hint">${hint}</p>` : ''}
+                    ${errors.length > 0 ? `<p class="editor-error" id="editor-${name}-error">${errors.map(error => escapeHtml(error.message)).join('<br>')}</p>` : ''}
+                </div>
+            `;
+        };
+        const input = (name, type = 'text') => attributes => `
+            <input type="${type}" id="editor-${name}" name="${name}" class="editor-input" value="${value(name)}" data-action="updateForm" ${attributes}>
+        `;
+        const textarea = (name, rows) => attributes => `
+            <textarea id="editor-${name}" name="${name}" class="editor-input" rows="${rows}" data-action="updateForm" ${attributes}>${value(name)}</textarea>
+        `;
+        const otherErrors = this.formErrors.filter(error => !FORM_FIELDS.includes(error.field));
+        
+        return `
+            <section class="editor-panel" aria-labelledby="editor-form-title">
+                <form class="editor-form" data-action="saveEntry" novalidate>
+                    <h2 class="editor-heading" id="editor-form-title">${isNew ? 'New utility' : `Edit ${escapeHtml(this.entries[this.editingIndex].name)}`}</h2>
+                    ${otherErrors.length > 0 ? `<p class="editor-error">${otherErrors.map(error => escapeHtml(error.message)).join('<br>')}</p>` : ''}
+                    ${field('name', 'Name', input('name'))}
+                    ${field('url_project', 'Website', input('url_project', 'url'))}
+                    ${field('url_git', 'Source code', input('url_git', 'url'), 'Optional. A repository or organization page.')}
+                    ${field('description', 'Description', textarea('description', 2), 'One sentence, shown on the card.')}
+                    ${field('tags', 'Tags', attributes => `
+                        <input type="text" id="editor-tags" name="tags" class="editor-input" value="${escapeHtml((entry.tags || []).join(', '))}" autocomplete="off" data-action="updateForm" ${attributes}>
+                        <div class="editor-tag-suggestions" id="editor-tag-suggestions" aria-live="polite"></div>
+                    `, 'Comma-separated, lowercase-kebab-case. The first category tag decides the category.')}
+                    ${field('long_description', 'Long description', textarea('long_description', 5), 'Optional. Shown on the utility\'s page; separate paragraphs with a blank line.')}
+                    <fieldset class="editor-field">
+                        <legend>Platforms</legend>
+                        <div class="editor-checkboxes">
+                            ${PLATFORMS.map(platform => `
+                                <label>
+                                    <input type="checkbox" name="platforms" value="${platform}" data-action="updateForm" ${(entry.platforms || []).includes(platform) ? 'checked' : ''}>
+                                    ${escapeHtml(PLATFORM_LABELS[platform] || platform)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                    ${field('license', 'License', input('license'), 'Optional, e.g. GPL-3.0 or Proprietary.')}
+                    ${field('pricing', 'Pricing', attributes => `
+                        <select id="editor-pricing" name="pricing" class="editor-input" data-action="updateForm" ${attributes}>
+                            <option value="">Not specified</option>
+                            ${PRICING_MODELS.map(pricing => `
+                                <option value="${pricing}" ${entry.pricing === pricing ? 'selected' : ''}>${escapeHtml(PRICING_LABELS[pricing] || pricing)}</option>
+                            `).join('')}
+                        </select>
+                    `)}
+                    ${field('jurisdiction', 'Jurisdiction', input('jurisdiction'), 'Optional. The two-letter code of the country whose laws the service is under, e.g. ch for Switzerland.')}
+                    ${Object.entries(YES_NO_FIELDS).map(([name, label]) => field(name, label, attributes => `
+                        <select id="editor-${name}" name="${name}" class="editor-input" data-action="updateForm" ${attributes}>
+                            <option value="">Not known</option>
+                            <option value="yes" ${entry[name] === true ? 'selected' : ''}>Yes</option>
+                            <option value="no" ${entry[name] === false ? 'selected' : ''}>No</option>
+                        </select>
+                    `)).join('')}
+                    <div class="editor-form-actions">
+                        <button type="submit" class="clear-filters-btn">${isNew ? 'Add to list' : 'Save changes'}</button>
+                        <button type="button" class="collection-action-btn" data-action="cancelEdit">Cancel</button>
+                    </div>
+                </form>
+                <aside class="editor-preview" id="editor-preview" aria-label="Preview">
+                    ${this.renderPreview()}
+                </aside>
+            </section>
+        `;
+    }
+
+    renderTagSuggestions(text) {
+        return this.getTagSuggestions(text).map(tag => `
+            <button type="button" class="tool-tag editor-tag-suggestion" data-action="addTagSuggestion" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>
+        `).join('');
+    }
+
+    // The card as it will appear on the Utilities page, its category, and notes on its tags
+    renderPreview() {
+        const entry = this.formEntry;
+        const tags = Array.isArray(entry.tags) ? entry.tags : [];
+        const tool = prepareTool({ ...entry, name: entry.name || 'Untitled utility', tags }, 0, new Set());
+        const options = new Set(this.getTagOptions());
+        
+        const notes = [];
+        if (tool.category === getCategoryFromTags([])) {
+            notes.push(`No tag picks a category, so it is listed under ${escapeHtml(tool.category)}.`);
+        }
+        tags.filter(tag => TAG_TAXONOMY.isAlias(tag)).forEach(tag => {
+            const canonical = TAG_TAXONOMY.canonical(tag);
+            notes.push(`"${escapeHtml(tag)}" is an alias of "${escapeHtml(canonical)}" and is shown as ${escapeHtml(TAG_TAXONOMY.getLabel(canonical))}.`);
+        });
+        tags.filter(tag => !options.has(tag) && !TAG_TAXONOMY.isAlias(tag)).forEach(tag => {
+            notes.push(`"${escapeHtml(tag)}" is a new tag: no other utility uses it and tags.json doesn't define it.`);
+        });
+        // A new entry starts out empty, so its problems wait until something has been typed
+        const problems = this.formDirty || this.formErrors.length > 0 ? this.validateEntry(entry, this.editingIndex) : [];
+        
+        return `
+            <h3 class="editor-heading">Preview</h3>
+            <p class="editor-category">Category: <strong>${escapeHtml(tool.category)}</strong></p>
+            <div class="editor-preview-card" inert>
+                ${this.filter.renderToolCard(tool)}
+            </div>
+            ${notes.length > 0 ? `<ul class="editor-notes">${notes.map(note => `<li>${note}</li>`).join('')}</ul>` : ''}
+            ${problems.length > 0 ? `
+                <ul class="editor-notes editor-problem">
+                    ${problems.map(problem => `<li>${escapeHtml(problem.message)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    // The changes to utilities.json, with a little unchanged context around each
+    renderDiff() {
+        const lines = diffLines(this.originalText, this.getText());
+        const isChanged = lines.map(line => line.type !== 'same');
+        if (!isChanged.includes(true)) {
+            return '<p class="editor-hint">No changes to utilities.json yet.</p>';
+        }
+        
+        const shown = lines.map((line, index) => isChanged.slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1).includes(true));
+        const marks = { same: ' ', added: '+', removed: '-' };
+        const rows = [];
+        lines.forEach((line, index) => {
+            if (!shown[index]) {
+                if (shown[index - 1]) rows.push('<span class="diff-line diff-gap">⋯</span>');
+                return;
+            }
+            const number = line.newLine !== null ? line.newLine : line.oldLine;
+            rows.push(`<span class="diff-line diff-${line.type}"><span class="diff-number">${number}</span>${marks[line.type]} ${escapeHtml(line.text)}</span>`);
+        });
+        
+        return `
+            <details class="editor-diff" open>
+                <summary>Changes to utilities.json</summary>
+                <pre class="editor-diff-lines"><code>${rows.join('')}</code></pre>
+            </details>
+        `;
+    }
+}
+
+// The one editor, created on the first visit and kept while the site is open
+let editor = null;
+
+export default async function renderEditor() {
+    const filter = this.getToolsFilter();
+    await filter.initialize();
+    
+    if (!editor) {
+        editor = new UtilitiesEditor(filter);
+        window.utilitiesEditor = editor;
+        // Leaving the page, or the site, with unsaved edits in the form asks first
+        this.beforeEach(({ page, from }) => (from === 'editor' && page !== 'editor' ? editor.confirmLeave() : undefined));
+        window.addEventListener('beforeunload', (e) => {
+            if (editor.formDirty && this.currentPage === 'editor') e.preventDefault();
+        });
+    }
+    await editor.initialize();
+    
+    const header = `
+        <div class="page-header">
+            <a href="#tools" class="page-back-link" data-page="tools">← Utilities</a>
+            <h1 class="page-title" tabindex="-1">Edit utilities</h1>
+            <p class="page-subtitle">
+                Add, edit, reorder and remove utilities, then download the updated utilities.json to commit.
+                Your draft is kept in this browser until you discard it.
+            </p>
+        </div>
+    `;
+    
+    if (editor.loadError) {
+        return `
+            ${header}
+            <div class="status-panel status-error">
+                <h3 class="status-title">Couldn't load utilities.json</h3>
+                <p class="status-message">${escapeHtml(editor.loadError.message)}</p>
+            </div>
+        `;
+    }
+    
+    return `
+        ${header}
+        <div id="utilities-editor" class="utilities-editor" data-filter="utilitiesEditor">
+            ${editor.render()}
+        </div>
+    `;
+}
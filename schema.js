@@ -0,0 +1,404 @@
+// Data schemas, validation and the tag taxonomy, shared by the site (app.js) and Node scripts (scripts/)
+
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Values allowed in a utility's optional "platforms" and "pricing" fields
+const PLATFORMS = ['windows', 'macos', 'linux', 'android', 'ios', 'web', 'browser-extension'];
+const PRICING_MODELS = ['free', 'freemium', 'paid'];
+
+// Names of the regions a utility's "jurisdiction" may be, by lowercase ISO 3166 code, e.g.
+// "ch" -> "Switzerland"; "eu" is the European Union
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+
+// The English name of a region code, or undefined if it isn't one
+function getRegionName(code) {
+    if (typeof code !== 'string' || !/^[a-z]{2}$/.test(code) || code === 'zz') return undefined;
+    return REGION_NAMES.of(code.toUpperCase());
+}
+
+// Link fields of a utility that scripts/check-links.js checks
+const LINK_FIELDS = ['url_project', 'url_git'];
+
+// Schema for entries in utilities.json
+const UTILITY_SCHEMA = {
+    label: 'utility',
+    fields: {
+        // Pins the utility's page at "#tools/<id>", so renaming it doesn't break links (default: the slugified name)
+        id: { type: 'slug', required: false },
+        name: { type: 'string', required: true },
+        url_project: { type: 'url', required: true },
+        url_git: { type: 'url', required: false },
+        description: { type: 'string', required: true },
+        tags: { type: 'tags', required: true },
+        // Optional details shown on the utility's own page
+        long_description: { type: 'string', required: false },
+        platforms: { type: 'list', required: false, values: PLATFORMS },
+        license: { type: 'string', required: false },
+        pricing: { type: 'enum', required: false, values: PRICING_MODELS },
+        // Privacy facts, filterable on the Utilities page. Leave out what isn't known: false
+        // means "no", not "unknown".
+        // Country whose laws the service operates under, e.g. "ch" for Switzerland
+        jurisdiction: { type: 'region', required: false },
+        open_source_clients: { type: 'boolean', required: false },
+        open_source_server: { type: 'boolean', required: false },
+        // Independently security-audited
+        audited: { type: 'boolean', required: false },
+        // When the utility was added to the list and last changed, for the New badge and the feeds
+        date_added: { type: 'date', required: false },
+        date_updated: { type: 'date', required: false },
+        // Links that failed the last link check, recorded by scripts/check-links.js --annotate
+        broken_links: { type: 'list', required: false, values: LINK_FIELDS }
+    },
+    // Fields whose values must not repeat across entries
+    unique: ['id', 'name', 'url_project']
+};
+
+// Schema for entries in projects.json
+const PROJECT_SCHEMA = {
+    label: 'project',
+    fields: {
+        name: { type: 'string', required: true },
+        description: { type: 'string', required: true },
+        links: { type: 'links', required: true },
+        tags: { type: 'tags', required: true },
+        icon: { type: 'string', required: false },
+        status: { type: 'enum', required: true, values: ['active', 'maintained', 'experimental', 'archived'] },
+        date_started: { type: 'date', required: false },
+        date_updated: { type: 'date', required: false }
+    },
+    unique: ['name']
+};
+
+// Schema for entries in profiles.json; same shape as projects, but status is optional
+const PROFILE_SCHEMA = {
+    label: 'profile',
+    fields: {
+        ...PROJECT_SCHEMA.fields,
+        status: { ...PROJECT_SCHEMA.fields.status, required: false }
+    },
+    unique: ['name']
+};
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns a list of problems with one field value, empty if it is valid
+function validateField(field, rule, value) {
+    const isMissing = value === undefined || value === null || value === '';
+
+    if (isMissing) {
+        return rule.required ? [`"${field}" is required`] : [];
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || !value.trim()) {
+                return [`"${field}" must be a non-empty string`];
+            }
+            return [];
+        case 'slug':
+            if (typeof value !== 'string' || !TAG_PATTERN.test(value)) {
+                return [`"${field}" must be lowercase-kebab-case, got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'url':
+            if (typeof value !== 'string' || !isHttpUrl(value)) {
+                return [`"${field}" must be an http(s) URL, got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'enum':
+            if (!rule.values.includes(value)) {
+                return [`"${field}" must be one of ${rule.values.join(', ')}, got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return [`"${field}" must be true or false, got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'region':
+            if (!getRegionName(value)) {
+                return [`"${field}" must be a lowercase two-letter country code, e.g. "ch", got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'date':
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+                return [`"${field}" must be a YYYY-MM-DD date, got ${JSON.stringify(value)}`];
+            }
+            return [];
+        case 'list':
+            if (!Array.isArray(value) || value.length === 0) {
+                return [`"${field}" must be a non-empty array`];
+            }
+            return value
+                .filter(item => !rule.values.includes(item))
+                .map(item => `"${field}" contains ${JSON.stringify(item)}; expected one of ${rule.values.join(', ')}`)
+                .concat(new Set(value).size !== value.length ? [`"${field}" contains duplicates`] : []);
+        case 'links':
+            if (!Array.isArray(value) || value.length === 0) {
+                return [`"${field}" must be a non-empty array of { label, url } objects`];
+            }
+            return value.flatMap((link, index) => {
+                if (!link || typeof link.label !== 'string' || !link.label.trim()) {
+                    return [`"${field}[${index}].label" must be a non-empty string`];
+                }
+                return isHttpUrl(link.url) ? [] : [`"${field}[${index}].url" must be an http(s) URL, got ${JSON.stringify(link.url)}`];
+            });
+        case 'tags':
+            if (!Array.isArray(value) || value.length === 0) {
+                return [`"${field}" must be a non-empty array of tags`];
+            }
+            return value
+                .filter(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag))
+                .map(tag => `"${field}" contains ${JSON.stringify(tag)}; tags must be lowercase-kebab-case`)
+                .concat(new Set(value).size !== value.length ? [`"${field}" contains duplicates`] : []);
+        default:
+            return [`"${field}" has unknown schema type "${rule.type}"`];
+    }
+}
+
+// Validate a parsed JSON document against a schema. Bad entries are quarantined rather than
+// thrown, so one typo doesn't take the whole page down.
+// Returns { valid, quarantined: [{ index, entry, errors }], warnings, errors }.
+function validateEntries(data, schema) {
+    const result = { valid: [], quarantined: [], warnings: [], errors: [] };
+
+    if (!Array.isArray(data)) {
+        result.errors.push(`Expected an array of ${schema.label} entries, got ${data === null ? 'null' : typeof data}`);
+        return result;
+    }
+
+    const seen = {};
+    schema.unique.forEach(field => { seen[field] = new Map(); });
+
+    data.forEach((entry, index) => {
+        const label = `Entry #${index + 1}${entry && typeof entry.name === 'string' ? ` ("${entry.name}")` : ''}`;
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            result.quarantined.push({ index, entry, errors: [`${label}: must be an object`] });
+            return;
+        }
+
+        const errors = [];
+        Object.entries(schema.fields).forEach(([field, rule]) => {
+            validateField(field, rule, entry[field]).forEach(message => errors.push(`${label}: ${message}`));
+        });
+
+        Object.keys(entry)
+            .filter(field => !schema.fields[field])
+            .forEach(field => result.warnings.push(`${label}: unknown field "${field}"`));
+
+        schema.unique.forEach(field => {
+            const value = typeof entry[field] === 'string' ? entry[field].trim().toLowerCase() : null;
+            if (value && seen[field].has(value)) {
+                errors.push(`${label}: duplicate "${field}", already used by entry #${seen[field].get(value) + 1}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            result.quarantined.push({ index, entry, errors });
+            return;
+        }
+
+        // Only accepted entries claim unique values, so a bad duplicate can't shadow a good original.
+        // Optional unique fields (e.g. id) are only claimed when set.
+        schema.unique
+            .filter(field => typeof entry[field] === 'string')
+            .forEach(field => seen[field].set(entry[field].trim().toLowerCase(), index));
+        result.valid.push(entry);
+    });
+
+    return result;
+}
+
+// Check a parsed tags.json: { tags: { <tag>: { label, aliases, parent } } }. Returns { errors, warnings }.
+function validateTaxonomy(data) {
+    const result = { errors: [], warnings: [] };
+
+    if (!data || typeof data.tags !== 'object' || Array.isArray(data.tags)) {
+        result.errors.push('Expected an object with a "tags" map of tag definitions');
+        return result;
+    }
+
+    const definitions = data.tags;
+    const aliasOwners = new Map();
+    const labelOwners = new Map();
+
+    Object.entries(definitions).forEach(([tag, definition]) => {
+        if (!TAG_PATTERN.test(tag)) {
+            result.errors.push(`Tag ${JSON.stringify(tag)} must be lowercase-kebab-case`);
+        }
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            result.errors.push(`Tag "${tag}": definition must be an object`);
+            return;
+        }
+
+        if (definition.label !== undefined) {
+            if (typeof definition.label !== 'string' || !definition.label.trim()) {
+                result.errors.push(`Tag "${tag}": "label" must be a non-empty string`);
+            } else {
+                const label = definition.label.trim().toLowerCase();
+                if (labelOwners.has(label)) {
+                    result.errors.push(`Tag "${tag}": label "${definition.label}" is already used by "${labelOwners.get(label)}"`);
+                }
+                labelOwners.set(label, tag);
+            }
+        }
+
+        if (definition.aliases !== undefined && !Array.isArray(definition.aliases)) {
+            result.errors.push(`Tag "${tag}": "aliases" must be an array of tags`);
+        }
+        (Array.isArray(definition.aliases) ? definition.aliases : []).forEach(alias => {
+            if (typeof alias !== 'string' || !TAG_PATTERN.test(alias)) {
+                result.errors.push(`Tag "${tag}": alias ${JSON.stringify(alias)} must be lowercase-kebab-case`);
+            } else if (definitions[alias]) {
+                result.errors.push(`Tag "${tag}": alias "${alias}" is also defined as a canonical tag`);
+            } else if (aliasOwners.has(alias)) {
+                result.errors.push(`Tag "${tag}": alias "${alias}" already belongs to "${aliasOwners.get(alias)}"`);
+            } else {
+                aliasOwners.set(alias, tag);
+            }
+        });
+
+        if (definition.parent !== undefined && !definitions[definition.parent]) {
+            result.errors.push(`Tag "${tag}": parent ${JSON.stringify(definition.parent)} is not a defined tag`);
+        }
+
+        Object.keys(definition)
+            .filter(field => !['label', 'aliases', 'parent'].includes(field))
+            .forEach(field => result.warnings.push(`Tag "${tag}": unknown field "${field}"`));
+    });
+
+    // Walk up from every tag; revisiting a tag on the way means the parents form a cycle
+    Object.keys(definitions).forEach(tag => {
+        const seen = new Set([tag]);
+        let parent = definitions[tag] && definitions[tag].parent;
+        while (parent && definitions[parent]) {
+            if (seen.has(parent)) {
+                result.errors.push(`Tag "${tag}": parent chain loops back through "${parent}"`);
+                return;
+            }
+            seen.add(parent);
+            parent = definitions[parent].parent;
+        }
+    });
+
+    return result;
+}
+
+// JSON laid out like the data files: two-space indents, with arrays of plain values such as
+// tags kept on one line. Used to write utilities.json back (the site's editor and
+// scripts/check-links.js --annotate) so a change only touches the lines it needs to.
+function formatJson(value, indent = '') {
+    const inner = `${indent}  `;
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        }
+        return `[\n${value.map(item => inner + formatJson(item, inner)).join(',\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.entries(value).map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatJson(item, inner)}`);
+        return fields.length > 0 ? `{\n${fields.join(',\n')}\n${indent}}` : '{}';
+    }
+    return JSON.stringify(value);
+}
+
+// Canonical tags, aliases, display labels and parent/child groupings from tags.json.
+// Tags without a definition are still valid; they just have no alias, parent or custom label.
+class TagTaxonomy {
+    constructor(data = { tags: {} }) {
+        this.definitions = (data && data.tags) || {};
+        this.aliases = new Map(); // alias -> canonical tag
+        this.children = new Map(); // tag -> [direct child tags]
+
+        Object.entries(this.definitions).forEach(([tag, definition]) => {
+            (definition.aliases || []).forEach(alias => this.aliases.set(alias, tag));
+            if (definition.parent) {
+                if (!this.children.has(definition.parent)) this.children.set(definition.parent, []);
+                this.children.get(definition.parent).push(tag);
+            }
+        });
+    }
+
+    canonical(tag) {
+        return this.aliases.get(tag) || tag;
+    }
+
+    // Replace aliases with their canonical tag, dropping any duplicates this creates
+    normalize(tags) {
+        return Array.from(new Set(tags.map(tag => this.canonical(tag))));
+    }
+
+    isAlias(tag) {
+        return this.aliases.has(tag);
+    }
+
+    getLabel(tag) {
+        const definition = this.definitions[tag];
+        return definition && definition.label ? definition.label : tag;
+    }
+
+    getAliases(tag) {
+        const definition = this.definitions[tag];
+        return definition && definition.aliases ? definition.aliases : [];
+    }
+
+    getParent(tag) {
+        const definition = this.definitions[tag];
+        return definition && definition.parent && this.definitions[definition.parent] ? definition.parent : null;
+    }
+
+    // Parent, grandparent, ... nearest first
+    getAncestors(tag) {
+        const ancestors = [];
+        let parent = this.getParent(tag);
+        while (parent && !ancestors.includes(parent)) {
+            ancestors.push(parent);
+            parent = this.getParent(parent);
+        }
+        return ancestors;
+    }
+
+    // The tag itself plus every tag nested under it; selecting a parent tag matches all of these
+    getDescendants(tag) {
+        const descendants = new Set([tag]);
+        const queue = [tag];
+        while (queue.length > 0) {
+            (this.children.get(queue.shift()) || []).forEach(child => {
+                if (!descendants.has(child)) {
+                    descendants.add(child);
+                    queue.push(child);
+                }
+            });
+        }
+        return descendants;
+    }
+
+    // Everything a tag can be searched by: the tag, its label and its aliases
+    getSearchTerms(tag) {
+        return [tag, this.getLabel(tag), ...this.getAliases(tag)];
+    }
+
+    // Find the canonical tag for user input, which may be a tag, an alias or a display label
+    resolve(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (!value) return null;
+        if (this.definitions[value]) return value;
+        if (this.aliases.has(value)) return this.aliases.get(value);
+
+        const labelMatch = Object.keys(this.definitions).find(tag => this.getLabel(tag).toLowerCase() === value);
+        return labelMatch || value;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TAG_PATTERN, PLATFORMS, PRICING_MODELS, LINK_FIELDS, getRegionName, UTILITY_SCHEMA, PROJECT_SCHEMA, PROFILE_SCHEMA, validateEntries, validateTaxonomy, formatJson, TagTaxonomy };
+}
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// Check every url_project and url_git in utilities.json, so dead or moved links are found
+// before visitors click them.
+// Usage: node scripts/check-links.js [options] [utilities.json]
+//   --report <file>       where to write the JSON report (default: link-report.json)
+//   --annotate            record each entry's failing links in its broken_links field, which
+//                         the site shows as "link may be broken"
+//   --concurrency <n>     requests in flight at once (default: 8), at most 2 per host
+//   --timeout <ms>        time allowed for each request (default: 10000)
+//   --retries <n>         extra attempts after a timeout, network error, 429 or 5xx (default: 2)
+// Each URL is requested with HEAD, falling back to GET for servers that refuse HEAD, and
+// redirects are followed. Exits with status 1 if any link is broken.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { LINK_FIELDS, formatJson } = require('../schema.js');
+
+const DEFAULTS = {
+    concurrency: 8,
+    perHost: 2,
+    timeout: 10000,
+    retries: 2,
+    // Doubled after each retry
+    retryDelay: 1000
+};
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Statuses from servers that don't allow HEAD requests
+const HEAD_REFUSED_STATUSES = [403, 405, 501];
+// Statuses from a server that answered but won't serve automated requests; the link works
+// in a browser, so these aren't reported as broken
+const RESTRICTED_STATUSES = [401, 403, 429];
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; dmeim.github.io link checker; +https://dmeim.github.io/)';
+
+// How each result is described, and whether it counts as broken
+const RESULTS = {
+    ok: { broken: false },
+    redirected: { broken: false },
+    restricted: { broken: false },
+    'http-error': { broken: true },
+    'too-many-redirects': { broken: true },
+    'tls-error': { broken: true },
+    timeout: { broken: true },
+    'network-error': { broken: true },
+    'invalid-url': { broken: true }
+};
+
+// Make one request and resolve to its status and Location header without reading the body.
+// Network and TLS failures reject with the error's code, e.g. ECONNREFUSED or CERT_HAS_EXPIRED.
+function request(url, method, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, { method, headers: { 'User-Agent': USER_AGENT, Accept: '*/*' } }, res => {
+            clearTimeout(timer);
+            resolve({ status: res.statusCode, location: res.headers.location });
+            res.destroy();
+        });
+        const timer = setTimeout(() => {
+            const error = new Error(`No response within ${timeout} ms`);
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        }, timeout);
+        req.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.end();
+    });
+}
+
+function isTlsError(error) {
+    return /CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(error.code || '');
+}
+
+// One attempt at a URL: follow its redirects and classify where they end up
+async function attempt(url, { timeout }) {
+    const redirects = [];
+    let current = url;
+
+    for (;;) {
+        let response;
+        try {
+            response = await request(current, 'HEAD', timeout);
+            if (HEAD_REFUSED_STATUSES.includes(response.status)) {
+                response = await request(current, 'GET', timeout);
+            }
+        } catch (error) {
+            const result = error.code === 'ETIMEDOUT' ? 'timeout' : isTlsError(error) ? 'tls-error' : 'network-error';
+            return { result, status: null, finalUrl: current.href, redirects, error: `${error.code || 'ERROR'}: ${error.message}` };
+        }
+
+        const { status, location } = response;
+        if (REDIRECT_STATUSES.includes(status) && location) {
+            if (redirects.length === MAX_REDIRECTS) {
+                return { result: 'too-many-redirects', status, finalUrl: current.href, redirects, error: `More than ${MAX_REDIRECTS} redirects` };
+            }
+            current = new URL(location, current);
+            redirects.push({ status, url: current.href });
+            continue;
+        }
+
+        let result = 'http-error';
+        if (status >= 200 && status < 300) {
+            result = redirects.length > 0 ? 'redirected' : 'ok';
+        } else if (RESTRICTED_STATUSES.includes(status)) {
+            result = 'restricted';
+        }
+        return { result, status, finalUrl: current.href, redirects, error: result === 'http-error' ? `HTTP ${status}` : null };
+    }
+}
+
+// Failures that may pass on a second try
+function isTransient({ result, status }) {
+    return result === 'timeout' || result === 'network-error' || status === 429 || status >= 500;
+}
+
+// Check one URL, retrying transient failures with exponential backoff
+async function checkUrl(href, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const started = Date.now();
+
+    let url;
+    try {
+        url = new URL(href);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`Unsupported protocol ${url.protocol}`);
+    } catch (error) {
+        return { url: href, result: 'invalid-url', broken: true, status: null, finalUrl: href, redirects: [], error: error.message, attempts: 0, durationMs: 0 };
+    }
+
+    let outcome;
+    let attempts = 0;
+    do {
+        if (attempts > 0) {
+            await new Promise(resolve => setTimeout(resolve, settings.retryDelay * 2 ** (attempts - 1)));
+        }
+        attempts++;
+        outcome = await attempt(url, settings);
+    } while (attempts <= settings.retries && isTransient(outcome));
+
+    return { url: href, ...outcome, broken: RESULTS[outcome.result].broken, attempts, durationMs: Date.now() - started };
+}
+
+// Run at most `limit` of the given async functions at a time
+function createLimiter(limit) {
+    let active = 0;
+    const waiting = [];
+    return async task => {
+        while (active >= limit) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+        try {
+            return await task();
+        } finally {
+            active--;
+            if (waiting.length > 0) waiting.shift()();
+        }
+    };
+}
+
+// Check URLs with at most `concurrency` requests in flight overall and `perHost` per host,
+// so a list full of github.com links doesn't trip its rate limits. Results keep input order.
+async function checkLinks(urls, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const limitOverall = createLimiter(settings.concurrency);
+    const hostLimiters = new Map();
+    const limitHost = url => {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (error) {
+            host = '';
+        }
+        if (!hostLimiters.has(host)) hostLimiters.set(host, createLimiter(settings.perHost));
+        return hostLimiters.get(host);
+    };
+
+    return Promise.all(urls.map(url => limitHost(url)(() => limitOverall(async () => {
+        const result = await checkUrl(url, settings);
+        if (settings.onResult) settings.onResult(result);
+        return result;
+    }))));
+}
+
+// Each distinct link in the entries, with the entries and fields that use it
+function collectLinks(entries) {
+    const links = new Map();
+    entries.forEach(entry => LINK_FIELDS.forEach(field => {
+        const url = entry[field];
+        if (!url) return;
+        if (!links.has(url)) links.set(url, []);
+        links.get(url).push({ name: entry.name, field });
+    }));
+    return links;
+}
+
+// Set each entry's broken_links to its link fields whose URL is broken, removing the field
+// from entries that no longer have any. Returns the number of entries that changed.
+function annotateEntries(entries, results) {
+    const broken = new Set(results.filter(result => result.broken).map(result => result.url));
+    let changed = 0;
+    entries.forEach(entry => {
+        const fields = LINK_FIELDS.filter(field => entry[field] && broken.has(entry[field]));
+        const before = JSON.stringify(entry.broken_links || []);
+        if (fields.length > 0) {
+            entry.broken_links = fields;
+        } else {
+            delete entry.broken_links;
+        }
+        if (JSON.stringify(fields) !== before) changed++;
+    });
+    return changed;
+}
+
+function buildReport(links, results, source) {
+    const summary = { total: results.length, ok: 0, redirected: 0, restricted: 0, broken: 0 };
+    results.forEach(result => {
+        if (result.broken) {
+            summary.broken++;
+        } else {
+            summary[result.result]++;
+        }
+    });
+    return {
+        checked: new Date().toISOString(),
+        source,
+        summary,
+        links: results.map(result => ({ ...result, entries: links.get(result.url) }))
+    };
+}
+
+function parseArgs(args) {
+    const options = { file: null, report: 'link-report.json', annotate: false };
+    const numbers = { '--concurrency': 'concurrency', '--timeout': 'timeout', '--retries': 'retries' };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--annotate') {
+            options.annotate = true;
+        } else if (arg === '--report') {
+            options.report = args[++i];
+        } else if (numbers[arg]) {
+            const value = Number(args[++i]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a whole number, got ${args[i]}`);
+            options[numbers[arg]] = value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.file = arg;
+        }
+    }
+    if (!options.report) throw new Error('--report needs a file name');
+    if (options.concurrency === 0) throw new Error('--concurrency must be at least 1');
+    return options;
+}
+
+function describeResult(result) {
+    const uses = result.entries.map(({ name, field }) => `"${name}" ${field}`).join(', ');
+    if (result.broken) return `✗ ${result.url}: ${result.error} (${uses})`;
+    if (result.result === 'redirected') return `! ${result.url} redirects to ${result.finalUrl} (${uses})`;
+    return `! ${result.url}: HTTP ${result.status}, may block automated checks (${uses})`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const filePath = path.resolve(options.file || path.join(__dirname, '..', 'utilities.json'));
+    const displayPath = path.relative(process.cwd(), filePath);
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const links = collectLinks(entries);
+    console.log(`Checking ${links.size} links from ${displayPath}...`);
+    const results = await checkLinks([...links.keys()], options);
+
+    const report = buildReport(links, results, displayPath);
+    fs.writeFileSync(path.resolve(options.report), `${JSON.stringify(report, null, 2)}\n`);
+    report.links
+        .filter(result => result.result !== 'ok')
+        .forEach(result => (result.broken ? console.error : console.warn)(describeResult(result)));
+
+    if (options.annotate) {
+        const changed = annotateEntries(entries, results);
+        fs.writeFileSync(filePath, `${formatJson(entries)}\n`);
+        console.log(`Updated broken_links on ${changed} ${changed === 1 ? 'entry' : 'entries'} in ${displayPath}`);
+    }
+
+    const { summary } = report;
+    console.log(`${summary.broken === 0 ? '✓' : '✗'} ${summary.ok} ok, ${summary.redirected} redirected, ${summary.restricted} restricted, ${summary.broken} broken (report: ${options.report})`);
+    return summary.broken === 0;
+}
+
+if (require.main === module) {
+    main()
+        .then(passed => process.exit(passed ? 0 : 1))
+        .catch(error => {
+            console.error(`✗ Link check failed: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { checkUrl, checkLinks, collectLinks, annotateEntries, buildReport };
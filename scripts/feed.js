@@ -0,0 +1,105 @@
+// Atom and RSS feeds of the utilities most recently added to the list, written by the pre-render
+// build (scripts/prerender.js) as feed.xml and rss.xml so people can subscribe to additions.
+// Only utilities with a date_added are included; see UTILITY_SCHEMA in schema.js.
+
+// Utilities listed in each feed
+const FEED_SIZE = 20;
+
+const FEED_TITLE = 'dmeim · New utilities';
+const FEED_SUBTITLE = 'Utilities recently added to the list I recommend for privacy, security, and development.';
+
+const XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+// Feed items for the newest additions: prepared tools (see prepareTool in app.js) with a
+// date_added, newest first, linking to their pages under siteUrl
+function getFeedItems(tools, siteUrl) {
+    return tools
+        .filter(tool => tool.date_added)
+        .sort((a, b) => b.date_added.localeCompare(a.date_added) || b.position - a.position)
+        .slice(0, FEED_SIZE)
+        .map(tool => ({
+            title: tool.name,
+            link: `${siteUrl}tools/${tool.slug}/`,
+            summary: tool.description,
+            published: tool.date_added,
+            updated: tool.date_updated > tool.date_added ? tool.date_updated : tool.date_added,
+            categories: tool.tags
+        }));
+}
+
+// The date the feed last changed: its newest item's, or `fallback` for an empty feed
+function getFeedUpdated(items, fallback) {
+    return items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), '') || fallback;
+}
+
+function buildAtomFeed(tools, { siteUrl, updated }) {
+    const items = getFeedItems(tools, siteUrl);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `    <title>${escapeXml(FEED_TITLE)}</title>`,
+        `    <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>`,
+        `    <link href="${escapeXml(`${siteUrl}feed.xml`)}" rel="self" type="application/atom+xml"/>`,
+        `    <link href="${escapeXml(`${siteUrl}tools/`)}" rel="alternate" type="text/html"/>`,
+        `    <id>${escapeXml(`${siteUrl}feed.xml`)}</id>`,
+        `    <updated>${getFeedUpdated(items, updated)}T00:00:00Z</updated>`,
+        '    <author><name>dmeim</name></author>',
+        ...items.map(item => [
+            '    <entry>',
+            `        <title>${escapeXml(item.title)}</title>`,
+            `        <link href="${escapeXml(item.link)}" rel="alternate" type="text/html"/>`,
+            `        <id>${escapeXml(item.link)}</id>`,
+            `        <published>${item.published}T00:00:00Z</published>`,
+            `        <updated>${item.updated}T00:00:00Z</updated>`,
+            `        <summary>${escapeXml(item.summary)}</summary>`,
+            ...item.categories.map(tag => `        <category term="${escapeXml(tag)}"/>`),
+            '    </entry>'
+        ].join('\n')),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// RFC 822 date, as RSS expects, e.g. "Tue, 05 Mar 2024 00:00:00 GMT"
+function toRssDate(date) {
+    return new Date(`${date}T00:00:00Z`).toUTCString();
+}
+
+function buildRssFeed(tools, { siteUrl, updated }) {
+    const items = getFeedItems(tools, siteUrl);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '    <channel>',
+        `        <title>${escapeXml(FEED_TITLE)}</title>`,
+        `        <link>${escapeXml(`${siteUrl}tools/`)}</link>`,
+        `        <description>${escapeXml(FEED_SUBTITLE)}</description>`,
+        `        <atom:link href="${escapeXml(`${siteUrl}rss.xml`)}" rel="self" type="application/rss+xml"/>`,
+        `        <lastBuildDate>${toRssDate(getFeedUpdated(items, updated))}</lastBuildDate>`,
+        ...items.map(item => [
+            '        <item>',
+            `            <title>${escapeXml(item.title)}</title>`,
+            `            <link>${escapeXml(item.link)}</link>`,
+            `            <guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+            `            <pubDate>${toRssDate(item.published)}</pubDate>`,
+            `            <description>${escapeXml(item.summary)}</description>`,
+            ...item.categories.map(tag => `            <category>${escapeXml(tag)}</category>`),
+            '        </item>'
+        ].join('\n')),
+        '    </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { getFeedItems, buildAtomFeed, buildRssFeed };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Pre-render every route to static HTML for search engines and visitors without JavaScript.
+// Usage: node scripts/prerender.js [out-dir]
+// Copies the site to out-dir (default: dist/) and writes one page per route, one per utility
+// under tools/<slug>/, a 404.html, a sitemap.xml, and Atom and RSS feeds of newly added
+// utilities (feed.xml and rss.xml, see scripts/feed.js). Pages are rendered by the site's own
+// Router, with per-route titles, meta descriptions and Open Graph tags; app.js then renders the
+// same route over the static content. The Home page's daily spotlight is left out, and New
+// badges on cards are as of the build until app.js renders over them. Set SITE_URL to build
+// for somewhere other than dmeim.github.io.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { buildAtomFeed, buildRssFeed } = require('./feed.js');
+
+const SITE_URL = (process.env.SITE_URL || 'https://dmeim.github.io/').replace(/\/?$/, '/');
+
+// Feed discovery links for every page's head. Only the build writes the feeds, so they are
+// linked from here rather than from index.html, which is also served as-is.
+const FEED_LINKS = [
+    '<link rel="alternate" type="application/atom+xml" title="dmeim · New utilities" href="feed.xml">',
+    '<link rel="alternate" type="application/rss+xml" title="dmeim · New utilities (RSS)" href="rss.xml">'
+];
+
+// Everything index.html needs at runtime, copied to the output as-is
+const STATIC_FILES = [
+    'app.js',
+    'schema.js',
+    'styles.css',
+    'sw.js',
+    'manifest.webmanifest',
+    'utilities.json',
+    'projects.json',
+    'profiles.json',
+    'tags.json',
+    'pages',
+    'resources'
+];
+
+// Pages rendered from the Router, with the directory each is written to. Compare depends on
+// the visitor's own selection, so it is only rendered in the browser.
+const PAGES = {
+    home: '',
+    projects: 'projects/',
+    profiles: 'profiles/',
+    tools: 'tools/'
+};
+
+const rootDir = path.join(__dirname, '..');
+const outDir = path.resolve(process.argv[2] || path.join(rootDir, 'dist'));
+
+// Load schema.js and app.js into a sandbox with just enough of a browser for the render
+// methods: no elements, and fetch reads the data files from disk.
+function createSite() {
+    const noop = () => {};
+    const storage = new Map();
+    const sandbox = {
+        console: { ...console, log: noop },
+        document: {
+            documentElement: { getAttribute: () => null },
+            addEventListener: noop,
+            removeEventListener: noop,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        history: { pushState: noop, replaceState: noop },
+        location: { hash: '' },
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        fetch: async (url) => {
+            const text = fs.readFileSync(path.join(rootDir, url), 'utf8');
+            return { ok: true, status: 200, json: async () => JSON.parse(text) };
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    ['schema.js', 'app.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(rootDir, file), 'utf8'), sandbox, { filename: file });
+    });
+    const router = vm.runInContext('new Router()', sandbox);
+    router.isStatic = true;
+    return { sandbox, router };
+}
+
+async function renderRoute(router, page, params = {}) {
+    router.currentPage = page;
+    router.currentParams = params;
+    const content = await router.renderContent(page);
+    return { content, ...router.getPageMeta(page) };
+}
+
+// Fill index.html in for one page. Nested pages get a <base> so the site's relative URLs
+// still resolve from the root, and nav links point at the static pages instead of hashes.
+// The 404 page can be served at any path, so it passes an absolute base and isn't indexed.
+function renderDocument(template, escapeHtml, { dir, base, indexable = true, route, section, content, title, description }) {
+    const depth = dir.split('/').filter(Boolean).length;
+    const baseHref = base || '../'.repeat(depth);
+    const url = SITE_URL + dir;
+    const head = [
+        `<title>${escapeHtml(title)}</title>`,
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        ...(indexable ? [
+            `<link rel="canonical" href="${escapeHtml(url)}">`,
+            '<meta property="og:type" content="website">',
+            '<meta property="og:site_name" content="dmeim">',
+            `<meta property="og:title" content="${escapeHtml(title)}">`,
+            `<meta property="og:description" content="${escapeHtml(description)}">`,
+            `<meta property="og:url" content="${escapeHtml(url)}">`,
+            '<meta name="twitter:card" content="summary">'
+        ] : ['<meta name="robots" content="noindex">']),
+        ...FEED_LINKS
+    ].join('\n    ');
+
+    const html = template
+        .replace('<meta charset="UTF-8">', match => (baseHref ? `${match}\n    <base href="${baseHref}">` : match))
+        .replace(/<title>.*<\/title>\s*<meta name="description"[^>]*>/, () => head)
+        .replace(/(<div id="page-content"[^>]*)>[\s\S]*?<\/div>(\s*<\/main>)/,
+            (match, openTag, end) => `${openTag} data-route="${escapeHtml(route)}">${content}</div>${end}`)
+        .replace(/(<a href="#(\w+)" class="nav-link)( active)?(" data-page="\w+")( aria-current="page")?>/g,
+            (match, start, page, active, attributes) => page === section
+                ? `${start} active${attributes} aria-current="page">`
+                : `${start}${attributes}>`)
+        .replace(/href="#tools\/([\w-]+)"/g, (match, slug) => `href="tools/${slug}/"`)
+        // Filtered views only exist in the browser, so without JavaScript they open the whole page
+        .replace(/href="#(\w+)(\?[^"]*)?"/g, (match, page) => (page in PAGES ? `href="${PAGES[page] || './'}"` : match));
+
+    // Under a <base>, "#page-content" would resolve to the root page, so links to elements on this
+    // page, like the skip link, are made relative to its own directory. The 404 page can't know
+    // its address, so its skip link still leads to the root.
+    const ids = new Set(Array.from(html.matchAll(/\sid="([^"]+)"/g), match => match[1]));
+    return html.replace(/href="#([^"?/]+)"/g, (match, id) => (ids.has(id) ? `href="${dir}#${id}"` : match));
+}
+
+function writePage(dir, html) {
+    const target = path.join(outDir, dir, 'index.html');
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, html);
+}
+
+function renderSitemap(dirs) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...dirs.map(dir => `    <url><loc>${SITE_URL}${dir}</loc></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+async function build() {
+    const template = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const { sandbox, router } = createSite();
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    STATIC_FILES.forEach(file => fs.cpSync(path.join(rootDir, file), path.join(outDir, file), { recursive: true }));
+
+    // Static visitors can't page through results, so list every utility
+    const toolsFilter = router.getToolsFilter();
+    await toolsFilter.initialize();
+    if (toolsFilter.loadError) {
+        throw toolsFilter.loadError;
+    }
+    toolsFilter.visibleCount = toolsFilter.items.length;
+
+    const dirs = [];
+    for (const [page, dir] of Object.entries(PAGES)) {
+        const rendered = await renderRoute(router, page);
+        writePage(dir, renderDocument(template, sandbox.escapeHtml, { dir, route: page, section: page, ...rendered }));
+        dirs.push(dir);
+    }
+
+    for (const tool of toolsFilter.items) {
+        const dir = `tools/${tool.slug}/`;
+        const rendered = await renderRoute(router, 'tool', { slug: tool.slug });
+        writePage(dir, renderDocument(template, sandbox.escapeHtml, { dir, route: `tools/${tool.slug}`, section: 'tools', ...rendered }));
+        dirs.push(dir);
+    }
+
+    // GitHub Pages serves 404.html for any path that doesn't exist
+    const notFound = await renderRoute(router, 'not-found');
+    fs.writeFileSync(path.join(outDir, '404.html'), renderDocument(template, sandbox.escapeHtml, {
+        dir: '', base: new URL(SITE_URL).pathname, indexable: false, route: '404', section: null, ...notFound
+    }));
+
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), renderSitemap(dirs));
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), `User-agent: *\nAllow: /\nSitemap: ${SITE_URL}sitemap.xml\n`);
+
+    // Feeds of additions; an empty feed is dated by the build
+    const feedOptions = { siteUrl: SITE_URL, updated: new Date().toISOString().slice(0, 10) };
+    fs.writeFileSync(path.join(outDir, 'feed.xml'), buildAtomFeed(toolsFilter.items, feedOptions));
+    fs.writeFileSync(path.join(outDir, 'rss.xml'), buildRssFeed(toolsFilter.items, feedOptions));
+
+    console.log(`✓ ${dirs.length} pages, sitemap.xml and feeds written to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+build().catch(error => {
+    console.error(`✗ Pre-render failed: ${error.message}`);
+    process.exit(1);
+});
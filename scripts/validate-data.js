@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Check the site's JSON data files against the same schemas the site uses before committing.
+// Usage: node scripts/validate-data.js [file.json ...]
+// With no arguments, checks utilities.json, projects.json, profiles.json and the tag taxonomy
+// in tags.json. The schema is chosen from the file name. Exits with status 1 if any entry would
+// be skipped by the site or the taxonomy is invalid. Tags that are aliases only warn.
+
+const fs = require('fs');
+const path = require('path');
+const { UTILITY_SCHEMA, PROJECT_SCHEMA, PROFILE_SCHEMA, validateEntries, validateTaxonomy, TagTaxonomy } = require('../schema.js');
+
+const SCHEMAS = {
+    'utilities.json': UTILITY_SCHEMA,
+    'projects.json': PROJECT_SCHEMA,
+    'profiles.json': PROFILE_SCHEMA
+};
+
+const TAXONOMY_FILE = 'tags.json';
+
+const rootDir = path.join(__dirname, '..');
+const files = process.argv.length > 2
+    ? process.argv.slice(2).map(file => path.resolve(file))
+    : [...Object.keys(SCHEMAS), TAXONOMY_FILE].map(file => path.join(rootDir, file));
+
+// Aliases are resolved against the site's taxonomy; without a readable one nothing is an alias
+function loadTaxonomy() {
+    try {
+        return new TagTaxonomy(JSON.parse(fs.readFileSync(path.join(rootDir, TAXONOMY_FILE), 'utf8')));
+    } catch (error) {
+        return new TagTaxonomy();
+    }
+}
+
+const taxonomy = loadTaxonomy();
+
+function validateTaxonomyFile(data, displayPath) {
+    const result = validateTaxonomy(data);
+
+    result.errors.forEach(message => console.error(`✗ ${message}`));
+    result.warnings.forEach(message => console.warn(`! ${message}`));
+
+    const passed = result.errors.length === 0;
+    const count = data && data.tags ? Object.keys(data.tags).length : 0;
+    console.log(`${passed ? '✓' : '✗'} ${count} tags, ${result.errors.length} errors, ${result.warnings.length} warnings (${displayPath})`);
+    return passed;
+}
+
+function validateFile(filePath) {
+    const fileName = path.basename(filePath);
+    const schema = SCHEMAS[fileName];
+    const displayPath = path.relative(process.cwd(), filePath);
+
+    if (!schema && fileName !== TAXONOMY_FILE) {
+        console.error(`✗ No schema for ${displayPath}; expected one of ${[...Object.keys(SCHEMAS), TAXONOMY_FILE].join(', ')}`);
+        return false;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`✗ Could not read ${displayPath}: ${error.message}`);
+        return false;
+    }
+
+    if (!schema) {
+        return validateTaxonomyFile(data, displayPath);
+    }
+
+    const result = validateEntries(data, schema);
+    result.valid.forEach(entry => entry.tags
+        .filter(tag => taxonomy.isAlias(tag))
+        .forEach(tag => result.warnings.push(`"${entry.name}": tag "${tag}" is an alias of "${taxonomy.canonical(tag)}"`)));
+
+    result.errors.forEach(message => console.error(`✗ ${message}`));
+    result.quarantined.forEach(({ errors }) => errors.forEach(message => console.error(`✗ ${message}`)));
+    result.warnings.forEach(message => console.warn(`! ${message}`));
+
+    const passed = result.errors.length === 0 && result.quarantined.length === 0;
+    console.log(`${passed ? '✓' : '✗'} ${result.valid.length} valid, ${result.quarantined.length} invalid, ${result.warnings.length} warnings (${displayPath})`);
+    return passed;
+}
+
+const results = files.map(validateFile);
+process.exit(results.every(Boolean) ? 0 : 1);
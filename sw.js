@@ -0,0 +1,112 @@
+// Service worker: precaches the app shell and data so the site works offline.
+// Every same-origin request is served stale-while-revalidate: the cached copy answers
+// immediately and a background fetch refreshes it for next time. When a data file
+// changes, open pages are told so they can offer to show the new data.
+
+const CACHE_NAME = 'dmeim-v1';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './schema.js',
+    './styles.css',
+    './manifest.webmanifest',
+    './utilities.json',
+    './projects.json',
+    './profiles.json',
+    './tags.json',
+    './pages/compare.js',
+    './resources/icon.svg',
+    './resources/git.png',
+    './resources/github.png',
+    './resources/github-white.png',
+    './resources/gitlab.png',
+    './resources/gitlab-white.png',
+    './resources/gitlab-black.png',
+    './resources/codeberg.svg',
+    './resources/codeberg-white.svg',
+    './resources/forgejo.svg',
+    './resources/forgejo-white.svg',
+    './resources/gitea.svg',
+    './resources/gitea-white.svg',
+    './resources/sourcehut.svg',
+    './resources/sourcehut-white.svg',
+    './resources/bitbucket.svg',
+    './resources/bitbucket-white.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+async function staleWhileRevalidate(event) {
+    const url = new URL(event.request.url);
+    const cache = await caches.open(CACHE_NAME);
+    // Navigations may carry a query; each pre-rendered page is cached under its path
+    const isNavigation = event.request.mode === 'navigate';
+    const request = isNavigation ? url.origin + url.pathname : event.request;
+    const cached = await cache.match(request);
+    // The page consumes `cached`, so keep a copy to compare against the fresh response
+    const cachedCopy = cached && cached.clone();
+
+    // Bypass the HTTP cache so the refresh really reaches the server
+    const revalidate = fetch(event.request.url, { cache: 'no-cache' })
+        .then(async (response) => {
+            if (response.ok) {
+                await cache.put(request, response.clone());
+                if (cachedCopy && url.pathname.endsWith('.json')) {
+                    await notifyIfChanged(url.href, cachedCopy, response.clone());
+                }
+            }
+            return response;
+        })
+        .catch(error => {
+            // Offline with a cached copy is expected; only fail when there is nothing to serve
+            if (cached) return undefined;
+            const fallback = isNavigation && offlineFallback(url);
+            if (fallback) return fallback;
+            throw error;
+        });
+
+    // Keep the worker alive until the background refresh has been stored
+    event.waitUntil(revalidate.catch(() => {}));
+
+    return cached || revalidate;
+}
+
+// An uncached page while offline: send the visitor to the same route in the cached shell,
+// e.g. "tools/proton-vpn/" becomes "./#tools/proton-vpn". Null for the shell itself.
+function offlineFallback(url) {
+    const scope = new URL(self.registration.scope);
+    const route = url.pathname.slice(scope.pathname.length).replace(/(index\.html)?\/?$/, '');
+    return route ? Response.redirect(`${scope.href}#${route}`, 302) : null;
+}
+
+async function notifyIfChanged(url, cachedResponse, freshResponse) {
+    const [cachedText, freshText] = await Promise.all([cachedResponse.text(), freshResponse.text()]);
+    if (cachedText === freshText) return;
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'data-updated', url }));
+}
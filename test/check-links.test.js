@@ -0,0 +1,228 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const http = require('http');
+const https = require('https');
+const { checkUrl, checkLinks, collectLinks, annotateEntries } = require('../scripts/check-links.js');
+const { formatJson } = require('../schema.js');
+
+// Short timeouts and retry delays so failures are quick to reach
+const FAST = { timeout: 200, retryDelay: 10 };
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`127.0.0.1:${server.address().port}`)));
+}
+
+// A throwaway self-signed key and certificate for the TLS error test, made for each run so no
+// private key is kept in the repository. Null when the openssl command isn't available.
+function createSelfSignedCertificate() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-links-tls-'));
+    try {
+        execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+            '-days', '1', '-subj', '/CN=127.0.0.1',
+            '-keyout', path.join(dir, 'key.pem'), '-out', path.join(dir, 'cert.pem')
+        ], { stdio: 'ignore' });
+        return { key: fs.readFileSync(path.join(dir, 'key.pem')), cert: fs.readFileSync(path.join(dir, 'cert.pem')) };
+    } catch (error) {
+        return null;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+describe('check-links', () => {
+    let server;
+    let base;
+    const hits = new Map();
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    // Each path is one stub behaviour; hits counts the requests it has had
+    const routes = {
+        '/ok': (req, res) => res.writeHead(200).end('ok'),
+        '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+        '/moved': (req, res) => res.writeHead(301, { Location: '/moved-again' }).end(),
+        '/moved-again': (req, res) => res.writeHead(302, { Location: `http://${base}/ok` }).end(),
+        '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+        '/missing': (req, res) => res.writeHead(404).end(),
+        '/forbidden': (req, res) => res.writeHead(403).end(),
+        '/flaky': (req, res) => res.writeHead(hits.get('/flaky') === 1 ? 503 : 200).end(),
+        '/down': (req, res) => res.writeHead(503).end(),
+        '/hang': () => {},
+        '/slow': (req, res) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            setTimeout(() => {
+                inFlight--;
+                res.writeHead(200).end();
+            }, 30);
+        }
+    };
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const route = req.url.replace(/\?.*/, '');
+            hits.set(route, (hits.get(route) || 0) + 1);
+            (routes[route] || routes['/missing'])(req, res);
+        });
+        base = await listen(server);
+    });
+
+    after(() => close(server));
+
+    it('reports working links as ok', async () => {
+        const result = await checkUrl(`http://${base}/ok`, FAST);
+        assert.equal(result.result, 'ok');
+        assert.equal(result.status, 200);
+        assert.equal(result.broken, false);
+        assert.equal(result.attempts, 1);
+    });
+
+    it('falls back to GET when HEAD is refused', async () => {
+        const result = await checkUrl(`http://${base}/no-head`, FAST);
+        assert.equal(result.result, 'ok');
+        assert.equal(result.status, 200);
+    });
+
+    it('follows redirects and records each hop', async () => {
+        const result = await checkUrl(`http://${base}/moved`, FAST);
+        assert.equal(result.result, 'redirected');
+        assert.equal(result.broken, false);
+        assert.equal(result.finalUrl, `http://${base}/ok`);
+        assert.deepEqual(result.redirects.map(hop => `${hop.status} ${hop.url}`), [
+            `301 http://${base}/moved-again`,
+            `302 http://${base}/ok`
+        ]);
+    });
+
+    it('gives up on redirect loops', async () => {
+        const result = await checkUrl(`http://${base}/loop`, FAST);
+        assert.equal(result.result, 'too-many-redirects');
+        assert.equal(result.broken, true);
+        assert.equal(result.redirects.length, 5);
+    });
+
+    it('reports HTTP errors without retrying them', async () => {
+        const result = await checkUrl(`http://${base}/missing`, FAST);
+        assert.equal(result.result, 'http-error');
+        assert.equal(result.error, 'HTTP 404');
+        assert.equal(result.broken, true);
+        assert.equal(result.attempts, 1);
+    });
+
+    it('does not count servers that refuse automated requests as broken', async () => {
+        const result = await checkUrl(`http://${base}/forbidden`, FAST);
+        assert.equal(result.result, 'restricted');
+        assert.equal(result.broken, false);
+    });
+
+    it('retries server errors', async () => {
+        hits.delete('/flaky');
+        const result = await checkUrl(`http://${base}/flaky`, FAST);
+        assert.equal(result.result, 'ok');
+        assert.equal(result.attempts, 2);
+    });
+
+    it('stops retrying after the configured number of retries', async () => {
+        const result = await checkUrl(`http://${base}/down`, { ...FAST, retries: 1 });
+        assert.equal(result.result, 'http-error');
+        assert.equal(result.status, 503);
+        assert.equal(result.attempts, 2);
+    });
+
+    it('times out requests that get no response', async () => {
+        const result = await checkUrl(`http://${base}/hang`, { ...FAST, timeout: 50, retries: 0 });
+        assert.equal(result.result, 'timeout');
+        assert.equal(result.broken, true);
+    });
+
+    it('reports refused connections as network errors', async () => {
+        const closed = http.createServer();
+        const address = await listen(closed);
+        await close(closed);
+
+        const result = await checkUrl(`http://${address}/`, { ...FAST, retries: 0 });
+        assert.equal(result.result, 'network-error');
+        assert.match(result.error, /^ECONNREFUSED/);
+    });
+
+    it('reports certificate problems as TLS errors', async (t) => {
+        const certificate = createSelfSignedCertificate();
+        if (!certificate) return t.skip('needs the openssl command to make a certificate');
+
+        const secure = https.createServer(certificate, (req, res) => res.writeHead(200).end());
+        const address = await listen(secure);
+        try {
+            const result = await checkUrl(`https://${address}/`, { ...FAST, retries: 0 });
+            assert.equal(result.result, 'tls-error');
+            assert.match(result.error, /SELF_SIGNED/);
+        } finally {
+            await close(secure);
+        }
+    });
+
+    it('rejects URLs it cannot request', async () => {
+        const result = await checkUrl('ftp://example.com/file', FAST);
+        assert.equal(result.result, 'invalid-url');
+        assert.equal(result.attempts, 0);
+    });
+
+    it('limits the requests in flight to one host', async () => {
+        maxInFlight = 0;
+        const urls = Array.from({ length: 6 }, (item, index) => `http://${base}/slow?${index}`);
+        const results = await checkLinks(urls, { ...FAST, concurrency: 8, perHost: 2 });
+        assert.deepEqual(results.map(result => result.url), urls);
+        assert.equal(maxInFlight, 2);
+    });
+
+    it('limits the requests in flight overall', async () => {
+        maxInFlight = 0;
+        const urls = Array.from({ length: 6 }, (item, index) => `http://${base}/slow?${index}`);
+        await checkLinks(urls, { ...FAST, concurrency: 1, perHost: 4 });
+        assert.equal(maxInFlight, 1);
+    });
+});
+
+describe('annotating utilities.json', () => {
+    const entries = () => [
+        { name: 'A', url_project: 'https://a.example', url_git: 'https://git.example/a' },
+        { name: 'B', url_project: 'https://b.example', broken_links: ['url_project'] },
+        { name: 'C', url_project: 'https://a.example' }
+    ];
+
+    it('collects each distinct link with the entries that use it', () => {
+        const links = collectLinks(entries());
+        assert.deepEqual([...links.keys()], ['https://a.example', 'https://git.example/a', 'https://b.example']);
+        assert.deepEqual(links.get('https://a.example'), [
+            { name: 'A', field: 'url_project' },
+            { name: 'C', field: 'url_project' }
+        ]);
+    });
+
+    it('records broken links and clears fixed ones', () => {
+        const data = entries();
+        const changed = annotateEntries(data, [
+            { url: 'https://a.example', broken: true },
+            { url: 'https://git.example/a', broken: true },
+            { url: 'https://b.example', broken: false }
+        ]);
+        assert.equal(changed, 3);
+        assert.deepEqual(data[0].broken_links, ['url_project', 'url_git']);
+        assert.equal('broken_links' in data[1], false);
+        assert.deepEqual(data[2].broken_links, ['url_project']);
+    });
+
+    it('writes utilities.json back in its own layout', () => {
+        const text = fs.readFileSync(path.join(__dirname, '..', 'utilities.json'), 'utf8');
+        assert.equal(`${formatJson(JSON.parse(text))}\n`, text);
+    });
+});
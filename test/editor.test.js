@@ -0,0 +1,233 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp } = require('./helpers/load-app');
+
+const fixtureText = fs.readFileSync(path.join(__dirname, 'fixtures', 'utilities.json'), 'utf8');
+
+describe('Utilities editor', () => {
+    let site;
+
+    afterEach(() => site && site.close());
+
+    // Start the site at the editor with the flag on, loading pages/editor.js in place of import()
+    async function openEditor({ hash = '#editor', storage = { utilitiesEditor: 'on' } } = {}) {
+        site = await loadApp({ hash, storage });
+        const router = new site.app.Router();
+        const page = site.loadPage('editor');
+        router.routes.get('editor').load = async () => page;
+        site.window.router = router;
+        site.window.confirm = () => true;
+        await router.init();
+
+        const container = () => site.document.getElementById('utilities-editor');
+        const form = () => container().querySelector('.editor-form');
+        return {
+            router,
+            page,
+            editor: site.window.utilitiesEditor,
+            container,
+            form,
+            click: selector => container().querySelector(selector).click(),
+            fill: (name, value) => {
+                const field = form().elements[name];
+                field.value = value;
+                field.dispatchEvent(new site.window.Event('input', { bubbles: true }));
+            },
+            submit: () => form().dispatchEvent(new site.window.Event('submit', { bubbles: true, cancelable: true }))
+        };
+    }
+
+    it('redirects to Utilities unless the editor flag is on', async () => {
+        await openEditor({ storage: {} });
+        assert.equal(site.window.router.currentPage, 'tools');
+        assert.equal(site.window.location.hash, '#tools');
+        assert.equal(site.document.querySelector('.page-header-link'), null);
+    });
+
+    it('is turned on by opening the site with ?editor=on', async () => {
+        const { router } = await openEditor({ hash: '?editor=on#tools', storage: {} });
+        assert.equal(site.window.localStorage.getItem('utilitiesEditor'), 'on');
+        assert.equal(site.document.querySelector('.page-header-link').dataset.page, 'editor');
+
+        await router.navigateTo('editor');
+        assert.equal(router.currentPage, 'editor');
+        assert.equal(site.document.title, 'Edit utilities · dmeim');
+    });
+
+    it('lists the entries in file order with their categories', async () => {
+        const { container } = await openEditor();
+        const entries = Array.from(container().querySelectorAll('.editor-entry'), entry => `${entry.querySelector('.editor-entry-name').textContent}: ${entry.querySelector('.editor-entry-category').textContent}`);
+        assert.deepEqual(entries, [
+            'Alpha VPN: VPN & Networking',
+            'Beta Chat: Communication',
+            'Gamma Mail: Email',
+            'Delta Mesh: VPN & Networking',
+            'Keyring: Password Management'
+        ]);
+        assert.match(container().textContent, /No changes to utilities\.json yet/);
+    });
+
+    it('checks the form against the schema before saving', async () => {
+        const { editor, click, submit, form } = await openEditor();
+        click('[data-action="addEntry"]');
+        submit();
+
+        assert.equal(editor.entries.length, 5);
+        const invalid = Array.from(form().querySelectorAll('[aria-invalid="true"]'), field => field.name);
+        assert.deepEqual(invalid, ['name', 'url_project', 'description', 'tags']);
+        assert.equal(site.document.activeElement.id, 'editor-name');
+    });
+
+    it('adds an entry, keeps it as a draft and shows it in the diff', async () => {
+        const { editor, click, fill, submit, container } = await openEditor();
+        click('[data-action="addEntry"]');
+        fill('name', 'Echo Notes');
+        fill('url_project', 'https://echo.example.com');
+        fill('description', 'Encrypted notes that sync between devices.');
+        fill('tags', 'notes, e2ee');
+        submit();
+
+        assert.equal(editor.entries.length, 6);
+        assert.deepEqual(Object.keys(editor.entries[5]), ['id', 'name', 'url_project', 'description', 'tags', 'date_added']);
+        assert.equal(editor.entries[5].id, 'echo-notes');
+        assert.match(editor.entries[5].date_added, /^\d{4}-\d{2}-\d{2}$/);
+        assert.equal(container().querySelector('.editor-form'), null);
+        assert.match(container().querySelector('.editor-message').textContent, /Saved "Echo Notes"/);
+
+        const added = Array.from(container().querySelectorAll('.diff-added'), line => line.textContent);
+        assert.ok(added.some(line => line.endsWith('+     "name": "Echo Notes",')));
+        assert.equal(JSON.parse(site.window.localStorage.getItem('utilitiesEditorDraft')).entries.length, 6);
+    });
+
+    it('reports a clashing name on the entry being edited', async () => {
+        const { editor, click, fill, submit, form } = await openEditor();
+        click('[data-action="editEntry"][data-index="1"]');
+        fill('name', 'keyring');
+        submit();
+
+        assert.equal(editor.entries[1].name, 'Beta Chat');
+        assert.match(form().querySelector('#editor-name-error').textContent, /duplicate "name", already used by "Keyring"/);
+    });
+
+    it('writes an entry saved without changes back exactly as it was', async () => {
+        const { editor, click, submit } = await openEditor();
+        click('[data-action="editEntry"][data-index="0"]');
+        submit();
+
+        assert.equal(editor.getText(), fixtureText);
+        assert.equal(site.window.localStorage.getItem('utilitiesEditorDraft'), null);
+    });
+
+    it('dates the changes to an entry and keeps its id', async () => {
+        const { editor, click, fill, submit } = await openEditor();
+        click('[data-action="editEntry"][data-index="4"]');
+        fill('description', 'Password manager you can sync yourself.');
+        submit();
+
+        assert.equal(editor.entries[4].id, 'keyring-pm');
+        assert.equal(editor.entries[4].date_added, '2024-03-05');
+        assert.match(editor.entries[4].date_updated, /^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('records yes/no facts as booleans and leaves unknown ones out', async () => {
+        const { editor, click, form, submit } = await openEditor();
+        click('[data-action="editEntry"][data-index="0"]');
+        const choose = (name, value) => {
+            form().elements[name].value = value;
+            form().elements[name].dispatchEvent(new site.window.Event('change', { bubbles: true }));
+        };
+        choose('audited', 'no');
+        choose('open_source_clients', '');
+        submit();
+
+        assert.equal(editor.entries[0].audited, false);
+        assert.equal('open_source_clients' in editor.entries[0], false);
+        assert.equal(editor.entries[0].jurisdiction, 'se');
+    });
+
+    it('drops the broken-link flag of a link that was changed', async () => {
+        const { editor, click, fill, submit } = await openEditor();
+        click('[data-action="editEntry"][data-index="3"]');
+        fill('url_git', 'https://codeberg.org/delta/mesh');
+        submit();
+
+        assert.equal('broken_links' in editor.entries[3], false);
+    });
+
+    it('reorders and deletes entries', async () => {
+        const { editor, click } = await openEditor();
+        click('[data-action="moveEntry"][data-index="0"][data-offset="1"]');
+        assert.deepEqual(Array.from(editor.entries.slice(0, 2), entry => entry.name), ['Beta Chat', 'Alpha VPN']);
+        assert.equal(site.document.activeElement.dataset.index, '1');
+
+        click('[data-action="deleteEntry"][data-index="4"]');
+        assert.deepEqual(Array.from(editor.entries, entry => entry.name), ['Beta Chat', 'Alpha VPN', 'Gamma Mail', 'Delta Mesh']);
+    });
+
+    it('suggests tags that complete the one being typed', async () => {
+        const { editor } = await openEditor();
+        assert.deepEqual(Array.from(editor.getTagSuggestions('vpn, open')), ['open-source']);
+        assert.deepEqual(Array.from(editor.getTagSuggestions('open-source, open')), []);
+        assert.deepEqual(Array.from(editor.getTagSuggestions('vpn, ')), []);
+    });
+
+    it('previews the card and computed category as the form changes', async () => {
+        const { click, fill, container } = await openEditor();
+        click('[data-action="addEntry"]');
+        fill('name', 'Foxtrot');
+        fill('tags', 'chat, privacy, brand-new');
+
+        const preview = container().querySelector('#editor-preview');
+        assert.equal(preview.querySelector('.editor-category strong').textContent, 'Communication');
+        assert.equal(preview.querySelector('.tool-name').textContent.trim(), 'Foxtrot');
+        assert.match(preview.textContent, /"chat" is an alias of "messaging"/);
+        assert.match(preview.textContent, /"brand-new" is a new tag/);
+
+        fill('tags', 'chat, priv');
+        assert.ok(Array.from(container().querySelectorAll('.editor-tag-suggestion'), button => button.dataset.tag).includes('privacy'));
+        click('.editor-tag-suggestion[data-tag="privacy"]');
+        assert.equal(container().querySelector('#editor-tags').value, 'chat, privacy, ');
+    });
+
+    it('asks before leaving the page with unsaved changes in the form', async () => {
+        const { router, click, fill } = await openEditor();
+        click('[data-action="editEntry"][data-index="0"]');
+        fill('description', 'Changed');
+
+        site.window.confirm = () => false;
+        await router.navigateTo('tools');
+        assert.equal(router.currentPage, 'editor');
+        assert.equal(site.window.location.hash, '#editor');
+
+        site.window.confirm = () => true;
+        await router.navigateTo('tools');
+        assert.equal(router.currentPage, 'tools');
+    });
+
+    it('picks the saved draft back up and notices when utilities.json has changed since', async () => {
+        const draft = { base: 'older', entries: [{ name: 'Only One', url_project: 'https://one.example.com', description: 'Just this.', tags: ['vpn'] }] };
+        const { editor, container } = await openEditor({ storage: { utilitiesEditor: 'on', utilitiesEditorDraft: JSON.stringify(draft) } });
+        assert.deepEqual(Array.from(editor.entries, entry => entry.name), ['Only One']);
+        assert.equal(editor.isDraftStale, true);
+        assert.match(container().textContent, /utilities\.json has changed since this draft was started/);
+
+        container().querySelector('[data-action="discardDraft"]').click();
+        assert.equal(editor.entries.length, 5);
+        assert.equal(site.window.localStorage.getItem('utilitiesEditorDraft'), null);
+    });
+
+    it('diffs text line by line', async () => {
+        const { page } = await openEditor();
+        const lines = page.diffLines('a\nb\nc\nd\n', 'a\nc\nx\nd\n');
+        assert.deepEqual(Array.from(lines, line => `${line.type[0]}${line.oldLine || '-'}${line.newLine || '-'} ${line.text}`), [
+            's11 a',
+            'r2- b',
+            's32 c',
+            'a-3 x',
+            's44 d',
+            's55 '
+        ]);
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { getFeedItems, buildAtomFeed, buildRssFeed } = require('../scripts/feed.js');
+
+const SITE_URL = 'https://example.org/';
+
+// Prepared tools as prepareTool in app.js returns them, with just the fields the feeds use
+const tools = [
+    { slug: 'undated', position: 0, name: 'Undated', description: 'No date.', tags: ['vpn'], date_added: '', date_updated: '' },
+    { slug: 'older', position: 1, name: 'Older', description: 'Added first.', tags: ['email'], date_added: '2024-01-10', date_updated: '2024-05-01' },
+    { slug: 'r-and-d', position: 2, name: 'R&D <Tools>', description: 'Quotes "and" ampersands & more.', tags: ['dev', 'open-source'], date_added: '2024-03-05', date_updated: '' }
+];
+
+function parseXml(text) {
+    return new JSDOM(text, { contentType: 'application/xml' }).window.document;
+}
+
+describe('feeds', () => {
+    it('lists dated utilities only, newest addition first', () => {
+        const items = getFeedItems(tools, SITE_URL);
+        assert.deepEqual(items.map(item => `${item.title} ${item.published} ${item.updated}`), [
+            'R&D <Tools> 2024-03-05 2024-03-05',
+            'Older 2024-01-10 2024-05-01'
+        ]);
+        assert.equal(items[0].link, 'https://example.org/tools/r-and-d/');
+    });
+
+    it('writes a well-formed Atom feed', () => {
+        const doc = parseXml(buildAtomFeed(tools, { siteUrl: SITE_URL, updated: '2024-06-01' }));
+        assert.equal(doc.documentElement.localName, 'feed');
+        assert.equal(doc.querySelector('feed > updated').textContent, '2024-05-01T00:00:00Z');
+
+        const entries = doc.querySelectorAll('entry');
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].querySelector('title').textContent, 'R&D <Tools>');
+        assert.equal(entries[0].querySelector('summary').textContent, 'Quotes "and" ampersands & more.');
+        assert.equal(entries[0].querySelector('id').textContent, 'https://example.org/tools/r-and-d/');
+        assert.deepEqual(Array.from(entries[0].querySelectorAll('category'), category => category.getAttribute('term')), ['dev', 'open-source']);
+    });
+
+    it('writes a well-formed RSS feed', () => {
+        const doc = parseXml(buildRssFeed(tools, { siteUrl: SITE_URL, updated: '2024-06-01' }));
+        assert.equal(doc.documentElement.localName, 'rss');
+
+        const items = doc.querySelectorAll('item');
+        assert.equal(items.length, 2);
+        assert.equal(items[0].querySelector('link').textContent, 'https://example.org/tools/r-and-d/');
+        assert.equal(items[0].querySelector('pubDate').textContent, 'Tue, 05 Mar 2024 00:00:00 GMT');
+    });
+
+    it('dates an empty feed by the build', () => {
+        const doc = parseXml(buildAtomFeed([], { siteUrl: SITE_URL, updated: '2024-06-01' }));
+        assert.equal(doc.querySelector('feed > updated').textContent, '2024-06-01T00:00:00Z');
+        assert.equal(doc.querySelectorAll('entry').length, 0);
+    });
+});
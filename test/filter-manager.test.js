@@ -0,0 +1,431 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadToolsFilter, resultNames } = require('./helpers/load-app');
+const { UTILITY_SCHEMA, validateEntries } = require('../schema.js');
+
+describe('FilterManager', () => {
+    let site;
+    let filter;
+
+    beforeEach(async () => {
+        site = await loadToolsFilter();
+        filter = site.filter;
+    });
+
+    afterEach(() => site.close());
+
+    describe('loading', () => {
+        it('normalizes aliases to their canonical tag', () => {
+            const chat = filter.items.find(tool => tool.name === 'Beta Chat');
+            assert.deepEqual([...chat.tags], ['messaging', 'e2ee', 'open-source']);
+        });
+
+        it('offers taxonomy groups alongside the tags in use', () => {
+            assert.ok(filter.allTags.includes('networking'));
+            assert.ok(filter.allTags.includes('encrypted'));
+            assert.ok(!filter.allTags.includes('chat'));
+        });
+    });
+
+    describe('tag filtering', () => {
+        it('requires every included tag by default', () => {
+            filter.toggleTag('vpn');
+            filter.toggleTag('open-source');
+            assert.deepEqual(resultNames(filter), ['Alpha VPN']);
+        });
+
+        it('accepts any included tag in match-any mode', () => {
+            filter.toggleTag('vpn');
+            filter.toggleTag('password-manager');
+            filter.setTagMatchMode('any');
+            assert.deepEqual(resultNames(filter), ['Alpha VPN', 'Delta Mesh', 'Keyring']);
+        });
+
+        it('drops items with an excluded tag', () => {
+            filter.toggleTag('open-source');
+            filter.toggleTagMode('open-source');
+            assert.deepEqual(resultNames(filter), ['Gamma Mail', 'Delta Mesh']);
+        });
+
+        it('matches child tags when a parent tag is selected', () => {
+            filter.toggleTag('encrypted');
+            assert.deepEqual(resultNames(filter), ['Beta Chat', 'Gamma Mail']);
+        });
+
+        it('resolves aliases and labels typed into the tag picker', () => {
+            assert.equal(filter.addTag('chat'), true);
+            assert.deepEqual([...filter.selectedTags.keys()], ['messaging']);
+
+            assert.equal(filter.addTag('Mesh networking', 'exclude'), true);
+            assert.equal(filter.selectedTags.get('mesh'), 'exclude');
+        });
+
+        it('rejects tags no item uses and says so', () => {
+            site.document.getElementById('page-content').innerHTML = `<div data-filter="toolsFilter">${filter.renderFilterUI()}</div>`;
+            assert.equal(filter.addTag('blockchain'), false);
+            assert.equal(filter.selectedTags.size, 0);
+            assert.match(site.document.getElementById('tag-message').textContent, /No utilities are tagged "blockchain"/);
+
+            filter.addTag('vpn');
+            assert.equal(site.document.getElementById('tag-message').textContent, '');
+        });
+
+        it('describes the tag query with labels', () => {
+            filter.toggleTag('vpn');
+            filter.toggleTag('open-source');
+            filter.toggleTagMode('open-source');
+            assert.equal(filter.describeTagQuery(), 'VPN AND NOT Open source');
+        });
+
+        it('offers match all/any only for two or more included tags', () => {
+            const hasMatchToggle = () => filter.renderActiveFilters().includes('data-action="setTagMatchMode"');
+            filter.toggleTag('vpn');
+            filter.toggleTag('open-source');
+            assert.equal(hasMatchToggle(), true);
+
+            filter.toggleTagMode('open-source');
+            assert.equal(hasMatchToggle(), false);
+        });
+    });
+
+    describe('search', () => {
+        it('finds items by name, description and tags', () => {
+            filter.updateSearchQuery('wireguard');
+            assert.deepEqual(resultNames(filter), ['Delta Mesh']);
+
+            filter.updateSearchQuery('messaging');
+            assert.deepEqual(resultNames(filter), ['Beta Chat']);
+        });
+
+        it('tolerates typos', () => {
+            filter.updateSearchQuery('pasword');
+            assert.deepEqual(resultNames(filter), ['Keyring']);
+        });
+
+        it('ranks name matches above description matches', () => {
+            filter.updateSearchQuery('mail');
+            assert.equal(resultNames(filter)[0], 'Gamma Mail');
+        });
+
+        it('supports quoted phrases and -exclusions', () => {
+            filter.updateSearchQuery('"group messaging"');
+            assert.deepEqual(resultNames(filter), ['Beta Chat']);
+
+            filter.updateSearchQuery('encrypted -email');
+            assert.deepEqual(resultNames(filter), ['Beta Chat']);
+        });
+
+        it('combines with tag filters', () => {
+            filter.toggleTag('vpn');
+            filter.updateSearchQuery('open source');
+            assert.deepEqual(resultNames(filter), ['Alpha VPN']);
+        });
+    });
+
+    describe('clearAllFilters', () => {
+        it('resets every filter and the inputs showing them', () => {
+            site.document.getElementById('page-content').innerHTML = `<div data-filter="toolsFilter">${filter.renderFilterUI()}</div>`;
+            filter.toggleTag('vpn');
+            filter.setTagMatchMode('any');
+            filter.updateSearchQuery('mesh');
+            filter.setForge('gitlab');
+            filter.setSortOrder('name');
+            site.document.getElementById('search-input').value = 'mesh';
+            site.document.getElementById('tag-input').value = 'VPN';
+
+            filter.clearAllFilters();
+
+            assert.equal(filter.selectedTags.size, 0);
+            assert.equal(filter.tagMatchMode, 'all');
+            assert.equal(filter.searchQuery, '');
+            assert.equal(filter.selectedCategory, '');
+            assert.equal(filter.selectedForge, '');
+            assert.equal(filter.sortOrder, 'default');
+            assert.equal(filter.hasActiveFilters(), false);
+            assert.equal(filter.filteredTools.length, filter.items.length);
+            assert.equal(site.document.getElementById('search-input').value, '');
+            assert.equal(site.document.getElementById('tag-input').value, '');
+        });
+    });
+
+    describe('source hosts', () => {
+        it('filters by forge, with "none" for items without public source', () => {
+            assert.deepEqual([...filter.allForges], ['github', 'codeberg', 'forgejo', 'gitlab', 'none']);
+
+            filter.setForge('codeberg');
+            assert.deepEqual(resultNames(filter), ['Beta Chat']);
+
+            filter.setForge('none');
+            assert.deepEqual(resultNames(filter), ['Gamma Mail']);
+
+            filter.setForge('bitbucket');
+            assert.equal(filter.selectedForge, '');
+        });
+    });
+
+    describe('exports', () => {
+        beforeEach(() => {
+            site.window.router = new site.app.Router();
+            filter.toggleTag('vpn');
+            filter.updateSearchQuery('open');
+        });
+
+        it('describes the filters the export was made from', () => {
+            const header = filter.getExportHeader();
+            assert.deepEqual(Array.from(header.filters, ([label, value]) => `${label}: ${value}`), ['Search: open', 'Tags: VPN']);
+            assert.equal(header.link, 'http://localhost/#tools?tags=vpn&q=open');
+            assert.equal(header.count, 1);
+            assert.equal(header.total, 5);
+        });
+
+        it('builds a Markdown table with escaped cells', () => {
+            filter.filteredTools[0].description = 'Fast | private';
+            const lines = filter.buildExport('markdown').split('\n');
+            assert.equal(lines[0], '# Utilities');
+            assert.match(lines[2], /^1 of 5 utilities, exported on \d{4}-\d{2}-\d{2} from <http:\/\/localhost\/#tools\?tags=vpn&q=open>$/);
+            assert.deepEqual(lines.slice(4, 6), ['- **Search:** open', '- **Tags:** VPN']);
+            assert.equal(lines[9], '| [Alpha VPN](https://alpha.example.com) | VPN & Networking | Fast \\| private | `vpn` `privacy` `open-source` | [GitHub](https://github.com/alpha/vpn) |');
+        });
+
+        it('builds a Markdown list under the same heading', () => {
+            const lines = filter.buildExport('markdownList').split('\n');
+            assert.equal(lines[0], '# Utilities');
+            assert.deepEqual(lines.slice(4, 7), ['- **Search:** open', '- **Tags:** VPN', '']);
+            assert.match(lines[7], /^- \[Alpha VPN\]\(https:\/\/alpha\.example\.com\): /);
+        });
+
+        it('starts the CSV with its header row and quotes fields that need it', () => {
+            filter.filteredTools[0].description = 'Fast, "private"';
+            const lines = filter.buildExport('csv').trimEnd().split('\r\n');
+            assert.deepEqual(lines, [
+                'name,category,description,tags,url_project,url_git,platforms,license,pricing,jurisdiction,open_source_clients,open_source_server,audited',
+                'Alpha VPN,VPN & Networking,"Fast, ""private""",vpn privacy open-source,https://alpha.example.com,https://github.com/alpha/vpn,,,paid,se,true,,true'
+            ]);
+        });
+
+        it('keeps spreadsheets from reading CSV cells as formulas', () => {
+            filter.filteredTools[0].name = '=HYPERLINK("https://evil.example")';
+            filter.filteredTools[0].description = '-1+1';
+            const row = filter.buildExport('csv').split('\r\n')[1];
+            assert.ok(row.startsWith(`"'=HYPERLINK(""https://evil.example"")",VPN & Networking,'-1+1,`));
+        });
+
+        it('names downloads after the filters used', () => {
+            assert.equal(filter.getExportFilename('csv'), 'utilities-open-vpn.csv');
+            filter.clearAllFilters();
+            assert.equal(filter.getExportFilename('md'), 'utilities.md');
+        });
+
+        it('writes an OPML outline of links', () => {
+            filter.filteredTools[0].name = 'Alpha <VPN>';
+            const doc = new site.window.DOMParser().parseFromString(filter.buildExport('opml'), 'application/xml');
+            assert.equal(doc.querySelector('parsererror'), null);
+            assert.equal(doc.querySelector('head > title').textContent, 'Utilities');
+            const folder = doc.querySelector('body > outline');
+            assert.match(folder.getAttribute('description'), /^1 of 5 utilities, exported on [\d-]+ · Search: open · Tags: VPN$/);
+            const links = folder.querySelectorAll('outline');
+            assert.equal(links.length, 1);
+            assert.equal(links[0].getAttribute('text'), 'Alpha <VPN>');
+            assert.equal(links[0].getAttribute('url'), 'https://alpha.example.com');
+            assert.equal(links[0].getAttribute('category'), '/vpn,/privacy,/open-source');
+        });
+
+        it('writes JSON entries that pass the utilities.json schema', () => {
+            filter.clearAllFilters();
+            const data = JSON.parse(filter.buildExport('json'));
+            assert.equal(data.title, 'Utilities');
+            assert.deepEqual(data.filters, {});
+            assert.equal(data.utilities.length, 5);
+            assert.deepEqual(Object.keys(data.utilities[2]), ['id', 'name', 'url_project', 'description', 'tags', 'pricing', 'jurisdiction', 'audited']);
+            assert.equal(data.utilities[2].audited, false);
+            assert.deepEqual(Object.keys(data.utilities[4]), ['id', 'name', 'url_project', 'url_git', 'description', 'tags', 'date_added']);
+
+            const result = validateEntries(data.utilities, UTILITY_SCHEMA);
+            assert.equal(result.quarantined.length, 0);
+            assert.equal(result.warnings.length, 0);
+        });
+
+        it('writes a bookmarks file with escaped names and only http(s) links', () => {
+            filter.filteredTools[0].name = 'Alpha <VPN>';
+            filter.filteredTools[0].url_project = 'javascript:alert(1)';
+            const html = filter.buildExport('bookmarks');
+            assert.match(html, /^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+            assert.match(html, /<DD>1 of 5 utilities, exported on [\d-]+ · Search: open · Tags: VPN\n/);
+            assert.match(html, /<A HREF="#" ADD_DATE="\d+" TAGS="vpn,privacy,open-source">Alpha &lt;VPN&gt;<\/A>/);
+        });
+    });
+
+    describe('facets', () => {
+        it('offers the values items have, in each facet\'s option order', () => {
+            assert.deepEqual(Object.keys(filter.facetValues), ['jurisdiction', 'clients', 'server', 'audited', 'pricing']);
+            assert.deepEqual(Array.from(filter.facetValues.jurisdiction), ['se', 'ch']);
+            assert.deepEqual(Array.from(filter.facetValues.audited), ['yes', 'no']);
+            assert.deepEqual(Array.from(filter.facetValues.pricing), ['free', 'freemium', 'paid']);
+        });
+
+        it('leaves out items whose fact isn\'t recorded', () => {
+            filter.setFacet('audited', 'no');
+            assert.deepEqual(resultNames(filter), ['Gamma Mail']);
+            filter.setFacet('audited', 'yes');
+            assert.deepEqual(resultNames(filter), ['Alpha VPN']);
+        });
+
+        it('counts each option against the other filters', () => {
+            filter.setFacet('jurisdiction', 'ch');
+            filter.setFacet('pricing', 'free');
+            assert.deepEqual(resultNames(filter), ['Beta Chat']);
+            assert.equal(filter.getFacetCount('jurisdiction', 'se'), 0);
+            assert.equal(filter.getFacetCount('pricing', 'freemium'), 1);
+            assert.equal(filter.getFacetCount('pricing', 'paid'), 0);
+
+            filter.updateSearchQuery('mail');
+            assert.equal(filter.getFacetCount('pricing', 'freemium'), 1);
+            assert.equal(filter.getFacetCount('pricing', 'free'), 0);
+        });
+
+        it('round-trips through route parameters, ignoring unknown values', () => {
+            filter.applyRouteParams({ jurisdiction: 'ch', audited: 'maybe', platform: 'linux' });
+            assert.deepEqual({ ...filter.selectedFacets }, { jurisdiction: 'ch' });
+            assert.equal(filter.getRouteParams().jurisdiction, 'ch');
+            assert.equal(filter.getRouteParams().audited, '');
+            assert.deepEqual(Array.from(filter.describeFilters(), ([label, value]) => `${label}: ${value}`), ['Jurisdiction: Switzerland']);
+
+            filter.clearAllFilters();
+            assert.deepEqual({ ...filter.selectedFacets }, {});
+        });
+
+        it('shows recorded facts as badges on cards', () => {
+            const badges = name => {
+                const card = site.document.createElement('div');
+                card.innerHTML = filter.renderToolCard(filter.items.find(tool => tool.name === name));
+                return Array.from(card.querySelectorAll('.fact-badge'), badge => badge.textContent.trim());
+            };
+            assert.deepEqual(badges('Alpha VPN'), ['Jurisdiction: Sweden', 'Open source: Open-source clients', 'Security audit: Audited', 'Pricing: Paid']);
+            assert.deepEqual(badges('Gamma Mail'), ['Jurisdiction: Switzerland', 'Pricing: Free with paid plans']);
+            assert.deepEqual(badges('Keyring'), []);
+        });
+    });
+
+    describe('ids and dates', () => {
+        it('uses a pinned id as the slug, otherwise the slugified name', () => {
+            assert.deepEqual(Array.from(filter.items, tool => tool.id), ['alpha-vpn', 'beta-chat', 'gamma-mail', 'delta-mesh', 'keyring-pm']);
+            assert.equal(filter.items[4].slug, 'keyring-pm');
+        });
+
+        it('sorts by date added, then undated entries latest in the file first', () => {
+            filter.setSortOrder('recent');
+            assert.deepEqual(resultNames(filter), ['Keyring', 'Beta Chat', 'Delta Mesh', 'Gamma Mail', 'Alpha VPN']);
+        });
+
+        it('badges utilities added in the last 30 days as new', () => {
+            const renderCard = tool => {
+                const card = site.document.createElement('div');
+                card.innerHTML = filter.renderToolCard(tool);
+                return card;
+            };
+            const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const tool = filter.items[0];
+
+            tool.date_added = daysAgo(3);
+            assert.equal(renderCard(tool).querySelector('.tool-name .new-badge').textContent, 'New');
+            tool.date_added = daysAgo(45);
+            assert.equal(renderCard(tool).querySelector('.new-badge'), null);
+            assert.equal(renderCard(filter.items[1]).querySelector('.new-badge'), null);
+        });
+    });
+
+    describe('favorites, collections and compare', () => {
+        // A FilterManager like the Utilities page's, with collections saved as `saved`
+        async function withCollections(saved) {
+            site.window.localStorage.setItem('collections', JSON.stringify(saved));
+            const collections = new site.app.CollectionManager();
+            const tools = new site.app.FilterManager({ collections, comparable: true });
+            await tools.initialize();
+            return { collections, tools };
+        }
+
+        it('keys favorites and collections by id', async () => {
+            const { collections, tools } = await withCollections({});
+            tools.toggleFavorite('keyring-pm');
+            tools.toggleToolInCollection('Work', 'keyring-pm');
+            collections.createCollection('Work');
+            tools.toggleToolInCollection('Work', 'alpha-vpn');
+
+            const saved = JSON.parse(site.window.localStorage.getItem('collections'));
+            assert.deepEqual(saved, { version: 2, favorites: ['keyring-pm'], collections: { Work: ['alpha-vpn'] } });
+            tools.setFavoritesOnly(true);
+            assert.deepEqual(resultNames(tools), ['Keyring']);
+        });
+
+        it('migrates favorites and collections saved by name to ids', async () => {
+            const { collections } = await withCollections({ favorites: ['Alpha VPN'], collections: { Work: ['Keyring', 'Retired Tool'] } });
+            const expected = { version: 2, favorites: ['alpha-vpn'], collections: { Work: ['keyring-pm', 'Retired Tool'] } };
+            assert.deepEqual(JSON.parse(JSON.stringify(collections.state)), expected);
+            assert.deepEqual(JSON.parse(site.window.localStorage.getItem('collections')), expected);
+        });
+
+        it('imports exports from before ids by name', async () => {
+            const { collections } = await withCollections({ version: 2, favorites: ['beta-chat'], collections: {} });
+            collections.import({ version: 1, favorites: ['Gamma Mail'], collections: { Mail: ['Gamma Mail'] } });
+            assert.deepEqual(Array.from(collections.state.favorites), ['beta-chat', 'gamma-mail']);
+            assert.deepEqual(Array.from(collections.getCollection('Mail')), ['gamma-mail']);
+            assert.equal(collections.export().version, 2);
+        });
+
+        it('selects utilities to compare by id, and by name for older links', () => {
+            filter.setCompareSelection(['Alpha VPN', 'keyring-pm', 'alpha-vpn', 'nothing']);
+            assert.deepEqual(Array.from(filter.compareSelection), ['alpha-vpn', 'keyring-pm']);
+        });
+    });
+
+    describe('broken links', () => {
+        it('flags links the last link check couldn\'t reach on cards', () => {
+            const card = site.document.createElement('div');
+            card.innerHTML = filter.renderToolCard(filter.items.find(tool => tool.name === 'Delta Mesh'));
+            assert.equal(card.querySelector('.link-warning').textContent, '⚠ link may be broken');
+            assert.equal(card.querySelector('.git-link').classList.contains('link-broken'), true);
+            assert.match(card.querySelector('.git-link').getAttribute('aria-label'), /\(link may be broken\)$/);
+            assert.equal(card.querySelector('.site-link').classList.contains('link-broken'), false);
+        });
+
+        it('leaves cards without broken links unmarked', () => {
+            const card = site.document.createElement('div');
+            card.innerHTML = filter.renderToolCard(filter.items.find(tool => tool.name === 'Alpha VPN'));
+            assert.equal(card.querySelector('.link-warning'), null);
+            assert.equal(card.querySelector('.link-broken'), null);
+        });
+    });
+
+    describe('getGitIcon', () => {
+        const setTheme = (theme, scheme) => {
+            site.document.documentElement.setAttribute('data-theme', theme);
+            site.document.documentElement.setAttribute('data-color-scheme', scheme);
+        };
+
+        it('uses the light variant in light themes', () => {
+            setTheme('light', 'light');
+            assert.equal(filter.getGitIcon('https://github.com/a/b'), './resources/github.png');
+            assert.equal(filter.getGitIcon('https://codeberg.org/a/b'), './resources/codeberg.svg');
+        });
+
+        it('uses the dark variant in every dark theme', () => {
+            ['dark', 'oled', 'high-contrast'].forEach(theme => {
+                setTheme(theme, 'dark');
+                assert.equal(filter.getGitIcon('https://github.com/a/b'), './resources/github-white.png');
+                assert.equal(filter.getGitIcon('https://gitlab.example.org/a/b'), './resources/gitlab-white.png');
+            });
+        });
+
+        it('prefers a theme-specific variant over the color scheme one', () => {
+            setTheme('sepia', 'light');
+            assert.equal(filter.getGitIcon('https://gitlab.com/a/b'), './resources/gitlab-black.png');
+            assert.equal(filter.getGitIcon('https://github.com/a/b'), './resources/github.png');
+        });
+
+        it('falls back to the generic icon for unknown hosts', () => {
+            setTheme('dark', 'dark');
+            assert.equal(filter.getGitIcon('https://git.example.com/a/b'), './resources/git.png');
+            assert.equal(filter.getGitIcon('not a url'), './resources/git.png');
+        });
+    });
+});
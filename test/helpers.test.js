@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('helpers', () => {
+    let site;
+    let app;
+
+    before(async () => {
+        site = await loadApp();
+        app = site.app;
+    });
+
+    after(() => site.close());
+
+    describe('getCategoryFromTags', () => {
+        it('maps each category tag to its category', () => {
+            assert.equal(app.getCategoryFromTags(['vpn']), 'VPN & Networking');
+            assert.equal(app.getCategoryFromTags(['messaging']), 'Communication');
+            assert.equal(app.getCategoryFromTags(['chat']), 'Communication');
+            assert.equal(app.getCategoryFromTags(['password-manager']), 'Password Management');
+            assert.equal(app.getCategoryFromTags(['storage']), 'Storage & Sync');
+            assert.equal(app.getCategoryFromTags(['browser']), 'Browsers');
+            assert.equal(app.getCategoryFromTags(['os']), 'Operating Systems');
+            assert.equal(app.getCategoryFromTags(['search-engine']), 'Search');
+            assert.equal(app.getCategoryFromTags(['tracker-blocker']), 'Browser Extensions');
+            assert.equal(app.getCategoryFromTags(['email-alias']), 'Email Privacy');
+        });
+
+        it('lets earlier rules win when tags match several categories', () => {
+            assert.equal(app.getCategoryFromTags(['messaging', 'vpn']), 'VPN & Networking');
+            assert.equal(app.getCategoryFromTags(['email', 'messaging']), 'Communication');
+            assert.equal(app.getCategoryFromTags(['email-alias', 'email']), 'Email');
+            assert.equal(app.getCategoryFromTags(['adblock', 'browser']), 'Browsers');
+        });
+
+        it('falls back to Privacy & Security', () => {
+            assert.equal(app.getCategoryFromTags(['privacy', 'open-source']), 'Privacy & Security');
+            assert.equal(app.getCategoryFromTags([]), 'Privacy & Security');
+        });
+    });
+
+    describe('getForge', () => {
+        it('recognizes hosted forges by host name', () => {
+            assert.equal(app.getForge('https://github.com/a/b').id, 'github');
+            assert.equal(app.getForge('https://www.github.com/a/b').id, 'github');
+            assert.equal(app.getForge('https://codeberg.org/a/b').id, 'codeberg');
+            assert.equal(app.getForge('https://git.sr.ht/~a/b').id, 'sourcehut');
+            assert.equal(app.getForge('https://bitbucket.org/a/b').id, 'bitbucket');
+        });
+
+        it('recognizes self-hosted instances by pattern', () => {
+            assert.equal(app.getForge('https://gitlab.tails.boum.org/tails').id, 'gitlab');
+            assert.equal(app.getForge('https://i2pgit.org/i2p-hackers/i2p.i2p').id, 'gitlab');
+            assert.equal(app.getForge('https://gitea.example.org/a/b').id, 'gitea');
+            assert.equal(app.getForge('https://forgejo.example.net/a/b').id, 'forgejo');
+        });
+
+        it('falls back to the generic forge', () => {
+            assert.equal(app.getForge('https://git.example.com/a/b'), app.GENERIC_FORGE);
+            assert.equal(app.getForge('not a url'), app.GENERIC_FORGE);
+        });
+
+        it('checks registered forges first', () => {
+            app.registerForge({
+                id: 'example',
+                label: 'Example Forge',
+                pattern: /\.example\.com$/,
+                icons: { light: './resources/git.png', dark: './resources/git.png' }
+            });
+            assert.equal(app.getForge('https://git.example.com/a/b').id, 'example');
+            assert.equal(app.getForge('https://github.com/a/b').id, 'github');
+        });
+    });
+
+    describe('slugify', () => {
+        it('makes URL-safe slugs from names', () => {
+            assert.equal(app.slugify('Proton VPN'), 'proton-vpn');
+            assert.equal(app.slugify('Element (Matrix)'), 'element-matrix');
+            assert.equal(app.slugify('Tor Browser™'), 'tor-browser');
+            assert.equal(app.slugify('Café'), 'cafe');
+        });
+    });
+
+    describe('getDailySpotlight', () => {
+        const tools = ['a', 'b', 'c'];
+
+        it('picks the same utility all day and the next one from midnight UTC', () => {
+            const today = app.getDailySpotlight(tools, new Date('2024-05-01T00:00:00Z'));
+            assert.equal(app.getDailySpotlight(tools, new Date('2024-05-01T23:59:59Z')), today);
+            assert.equal(app.getDailySpotlight(tools, new Date('2024-05-02T00:00:00Z')), tools[(tools.indexOf(today) + 1) % tools.length]);
+        });
+
+        it('has nothing to spotlight in an empty list', () => {
+            assert.equal(app.getDailySpotlight([]), null);
+        });
+    });
+
+    describe('getTagCloud', () => {
+        const tools = [
+            { tags: ['vpn', 'open-source'] },
+            { tags: ['vpn', 'open-source', 'mesh'] },
+            { tags: ['open-source', 'email'] }
+        ];
+
+        it('weights tags by how often they are used, ordered by label', () => {
+            const cloud = app.getTagCloud(tools).map(({ tag, count, weight }) => `${tag} ${count} ${weight}`);
+            assert.deepEqual(Array.from(cloud), ['email 1 1', 'mesh 1 1', 'open-source 3 5', 'vpn 2 4']);
+        });
+
+        it('keeps only the most used tags', () => {
+            assert.deepEqual(Array.from(app.getTagCloud(tools, 2), entry => entry.tag), ['open-source', 'vpn']);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+// Load the site into a jsdom window for tests: index.html's markup, then schema.js and app.js
+// evaluated in the window the way the browser runs them. Data files are read from
+// test/fixtures when a fixture exists and from the repository otherwise, so nothing touches
+// the network. The app itself is not started; tests create the managers they need.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const rootDir = path.join(__dirname, '..', '..');
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+// Names from app.js and schema.js that tests use. Classes and constants are script-scoped
+// rather than window properties, so they are collected by running a script in the window.
+const EXPORTS = [
+    'FilterManager', 'CollectionManager', 'Router', 'ThemeManager', 'SearchEngine', 'TagTaxonomy',
+    'THEMES', 'FORGES', 'GENERIC_FORGE',
+    'getCategoryFromTags', 'getForge', 'registerForge', 'slugify', 'loadUtilitiesData',
+    'getDailySpotlight', 'getTagCloud'
+];
+
+// A matchMedia replacement whose results tests control: set(query, matches) updates a query
+// and notifies its change listeners like the browser does when a system setting changes
+function createMatchMedia(initial = {}) {
+    const queries = new Map();
+    const matchMedia = query => {
+        if (!queries.has(query)) {
+            const listeners = new Set();
+            queries.set(query, {
+                media: query,
+                matches: Boolean(initial[query]),
+                listeners,
+                addEventListener: (type, listener) => listeners.add(listener),
+                removeEventListener: (type, listener) => listeners.delete(listener)
+            });
+        }
+        return queries.get(query);
+    };
+    matchMedia.set = (query, matches) => {
+        const mediaQuery = matchMedia(query);
+        mediaQuery.matches = matches;
+        mediaQuery.listeners.forEach(listener => listener({ matches, media: query }));
+    };
+    return matchMedia;
+}
+
+function readDataFile(name) {
+    const file = [fixturesDir, rootDir]
+        .map(dir => path.join(dir, name))
+        .find(candidate => fs.existsSync(candidate));
+    return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// A page module from pages/ as a script that evaluates to its exports, e.g. { default, diffLines }.
+// The browser import()s these; run as a script instead, they see app.js's globals the same way.
+function toScript(source) {
+    const names = [];
+    const body = source.replace(/^export (default )?((?:async )?(?:function|class|const|let) (\w+))/gm, (match, isDefault, declaration, name) => {
+        names.push(isDefault ? `default: ${name}` : name);
+        return declaration;
+    });
+    return `(() => {\n${body}\nreturn { ${names.join(', ')} };\n})()`;
+}
+
+// Options: hash to open (e.g. "#tools?tags=vpn"), localStorage entries to start with, and
+// media queries that match (e.g. { '(prefers-color-scheme: dark)': true })
+async function loadApp({ hash = '', storage = {}, media = {} } = {}) {
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8')
+        .replace(/<script[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${hash}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.matchMedia = createMatchMedia(media);
+    window.scrollTo = () => {};
+    // jsdom doesn't lay pages out, so it has no scrollIntoView
+    window.Element.prototype.scrollIntoView = () => {};
+    window.fetch = async (url) => {
+        const name = new URL(url, window.location.href).pathname.replace(/^\//, '');
+        const text = readDataFile(name);
+        return {
+            ok: text !== null,
+            status: text !== null ? 200 : 404,
+            json: async () => JSON.parse(text),
+            text: async () => text
+        };
+    };
+
+    // Run as scripts, like <script> tags, so top-level classes and constants are shared between
+    // them. Wait for the page to load first so app.js doesn't start itself.
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    const context = dom.getInternalVMContext();
+    const run = (source, filename) => new vm.Script(source, { filename }).runInContext(context);
+    ['schema.js', 'app.js'].forEach(file => run(fs.readFileSync(path.join(rootDir, file), 'utf8'), file));
+
+    return {
+        window,
+        document: window.document,
+        app: run(`({ ${EXPORTS.join(', ')} })`, 'exports.js'),
+        loadPage: name => run(toScript(fs.readFileSync(path.join(rootDir, 'pages', `${name}.js`), 'utf8')), `pages/${name}.js`),
+        close: () => window.close()
+    };
+}
+
+// Load the fixture utilities into a new Utilities FilterManager
+async function loadToolsFilter(options) {
+    const site = await loadApp(options);
+    const filter = new site.app.FilterManager();
+    await filter.initialize();
+    site.window.toolsFilter = filter;
+    return { ...site, filter };
+}
+
+// Names of the filter's current results, in order. Arrays made in the window have its own
+// Array prototype, so they are copied into this realm for deepEqual.
+function resultNames(filter) {
+    return Array.from(filter.filteredTools, tool => tool.name);
+}
+
+module.exports = { loadApp, loadToolsFilter, createMatchMedia, resultNames };
@@ -0,0 +1,327 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, resultNames } = require('./helpers/load-app');
+
+// Load the site at a hash and start the router, like the page does on DOMContentLoaded
+async function startAt(hash) {
+    const site = await loadApp({ hash });
+    const router = new site.app.Router();
+    site.window.router = router;
+    await router.init();
+    return { ...site, router, pageText: () => site.document.getElementById('page-content').textContent };
+}
+
+describe('Router', () => {
+    let site;
+
+    afterEach(() => site && site.close());
+
+    it('renders the page named by the hash', async () => {
+        site = await startAt('#projects');
+        assert.equal(site.router.currentPage, 'projects');
+        assert.equal(site.document.title, 'Projects · dmeim');
+        assert.equal(site.document.querySelector('.nav-link.active').dataset.page, 'projects');
+    });
+
+    it('renders home when there is no hash', async () => {
+        site = await startAt('');
+        assert.equal(site.router.currentPage, 'home');
+        assert.equal(site.document.title, 'dmeim');
+    });
+
+    it('lists the latest additions and updates under What\'s new on home', async () => {
+        site = await startAt('');
+        const items = Array.from(site.document.querySelectorAll('.whats-new-item'), item => `${item.querySelector('a').textContent}: ${item.querySelector('.whats-new-change').textContent}`);
+        assert.deepEqual(items, ['Beta Chat: Updated Apr 10, 2024', 'Keyring: Added Mar 5, 2024']);
+        assert.equal(site.document.querySelector('.whats-new-item a').getAttribute('href'), '#tools/beta-chat');
+        assert.equal(site.document.querySelector('.whats-new-more').getAttribute('href'), '#tools?sort=recent');
+    });
+
+    it('offers the feed only when the page links one', async () => {
+        site = await startAt('');
+        assert.equal(site.document.querySelector('.whats-new-feed'), null);
+
+        site.document.head.insertAdjacentHTML('beforeend', '<link rel="alternate" type="application/atom+xml" href="feed.xml">');
+        await site.router.navigateTo('tools');
+        await site.router.navigateTo('home');
+        assert.equal(site.document.querySelector('.whats-new-feed').getAttribute('href'), 'feed.xml');
+    });
+
+    it('counts utilities, categories, projects and profiles on home', async () => {
+        site = await startAt('');
+        const projects = site.router.getProjectsFilter().items.length;
+        const profiles = site.router.getProfilesFilter().items.length;
+        const stats = Array.from(site.document.querySelectorAll('.home-stat'), stat => stat.textContent.trim());
+        assert.deepEqual(stats, [
+            '5 utilities',
+            '4 categories',
+            `${projects} ${projects === 1 ? 'project' : 'projects'}`,
+            `${profiles} ${profiles === 1 ? 'profile' : 'profiles'}`
+        ]);
+        assert.equal(site.document.querySelector('.home-stat[data-page="profiles"]').getAttribute('href'), '#profiles');
+    });
+
+    it('spotlights a utility and links its tag cloud to filtered Utilities', async () => {
+        site = await startAt('');
+        const names = ['Alpha VPN', 'Beta Chat', 'Gamma Mail', 'Delta Mesh', 'Keyring'];
+        assert.ok(names.includes(site.document.querySelector('.home-spotlight-name').textContent.trim()));
+
+        const tag = site.document.querySelector('.tag-cloud-tag[data-params="tags=open-source"]');
+        assert.equal(tag.getAttribute('href'), '#tools?tags=open-source');
+        assert.ok(tag.classList.contains('tag-cloud-weight-5'));
+        assert.ok(site.document.querySelector('.tag-cloud-tag[data-params="tags=mesh"]').classList.contains('tag-cloud-weight-1'));
+
+        await site.router.navigateTo(tag.dataset.page, Object.fromEntries(new URLSearchParams(tag.dataset.params)));
+        assert.equal(site.window.location.hash, '#tools?tags=open-source');
+        assert.deepEqual(resultNames(site.window.toolsFilter), ['Alpha VPN', 'Beta Chat', 'Keyring']);
+    });
+
+    it('lists quick search matches on home and opens the full results', async () => {
+        site = await startAt('');
+        const input = site.document.getElementById('quick-search-input');
+        input.value = 'mail';
+        site.window.quickSearch.update(input.value);
+        const matches = Array.from(site.document.querySelectorAll('.quick-search-name'), link => link.textContent.trim());
+        assert.ok(matches.includes('Gamma Mail'));
+        assert.equal(site.document.querySelector('.quick-search-all').getAttribute('href'), '#tools?q=mail');
+
+        await site.window.quickSearch.handleAction('openQuickSearch', input.form);
+        assert.equal(site.window.location.hash, '#tools?q=mail');
+        assert.equal(site.window.toolsFilter.searchQuery, 'mail');
+        assert.ok(resultNames(site.window.toolsFilter).includes('Gamma Mail'));
+    });
+
+    it('moves focus to the content from the skip link without changing page', async () => {
+        site = await startAt('#projects');
+        site.document.querySelector('.skip-link').click();
+        assert.equal(site.document.activeElement, site.document.getElementById('page-content'));
+        assert.equal(site.window.location.hash, '#projects');
+        assert.equal(site.router.currentPage, 'projects');
+    });
+
+    it('compares utilities by id and upgrades compare links that use names', async () => {
+        site = await loadApp({ hash: '#compare?tools=Alpha%20VPN,keyring-pm' });
+        const router = new site.app.Router();
+        const page = site.loadPage('compare');
+        router.routes.get('compare').load = async () => page;
+        site.window.router = router;
+        await router.init();
+
+        assert.equal(site.window.location.hash, '#compare?tools=alpha-vpn,keyring-pm');
+        const names = Array.from(site.document.querySelectorAll('.compare-tool-name'), name => name.textContent);
+        assert.deepEqual(names, ['Alpha VPN', 'Keyring']);
+    });
+
+    it('shows a not-found page for unknown hashes', async () => {
+        site = await startAt('#does-not-exist');
+        assert.equal(site.router.currentPage, 'not-found');
+        assert.equal(site.window.location.hash, '#does-not-exist');
+        assert.equal(site.document.title, 'Page not found · dmeim');
+        assert.match(site.pageText(), /There's no page at #does-not-exist/);
+        assert.equal(site.document.querySelector('.nav-link.active'), null);
+    });
+
+    it('restores Utilities filters from the hash', async () => {
+        site = await startAt('#tools?tags=vpn,-self-hosted&q=open');
+        const filter = site.window.toolsFilter;
+        assert.deepEqual(Array.from(filter.selectedTags, ([tag, mode]) => `${mode}:${tag}`), ['include:vpn', 'exclude:self-hosted']);
+        assert.equal(filter.searchQuery, 'open');
+        assert.deepEqual(resultNames(filter), ['Alpha VPN']);
+    });
+
+    it('writes filter changes back to the hash', async () => {
+        site = await startAt('#tools');
+        site.window.toolsFilter.toggleTag('vpn');
+        assert.equal(site.window.location.hash, '#tools?tags=vpn');
+    });
+
+    it('restores facet filters from the hash and keeps their counts current', async () => {
+        site = await startAt('#tools?jurisdiction=ch');
+        const filter = site.window.toolsFilter;
+        assert.deepEqual(resultNames(filter), ['Beta Chat', 'Gamma Mail']);
+        assert.equal(site.document.querySelector('.facet-filters').open, true);
+        assert.equal(site.document.getElementById('facet-jurisdiction').value, 'ch');
+
+        const pricing = site.document.getElementById('facet-pricing');
+        const options = () => Array.from(pricing.options, option => option.textContent.trim());
+        assert.deepEqual(options(), ['Any', 'Free (1)', 'Free with paid plans (1)', 'Paid (0)']);
+
+        pricing.focus();
+        pricing.value = 'free';
+        pricing.dispatchEvent(new site.window.Event('change', { bubbles: true }));
+        assert.equal(site.window.location.hash, '#tools?jurisdiction=ch&pricing=free');
+        assert.deepEqual(resultNames(filter), ['Beta Chat']);
+        assert.equal(site.document.activeElement, pricing);
+        const jurisdictions = site.document.getElementById('facet-jurisdiction').options;
+        assert.deepEqual(Array.from(jurisdictions, option => option.textContent.trim()), ['Any', 'Sweden (0)', 'Switzerland (1)']);
+        assert.match(site.document.querySelector('.active-filters-list').textContent, /Pricing: Free/);
+    });
+
+    it('restores retired jurisdiction tags as the jurisdiction facet', async () => {
+        site = await startAt('#tools?tags=swiss');
+        const filter = site.window.toolsFilter;
+        assert.deepEqual(Object.assign({}, filter.selectedFacets), { jurisdiction: 'ch' });
+        assert.equal(filter.selectedTags.size, 0);
+        assert.deepEqual(resultNames(filter), ['Beta Chat', 'Gamma Mail']);
+        assert.equal(site.document.getElementById('facet-jurisdiction').value, 'ch');
+    });
+
+    it('renders a utility page from "#tools/<slug>"', async () => {
+        site = await startAt('#tools/delta-mesh');
+        assert.equal(site.router.currentPage, 'tool');
+        assert.equal(site.document.title, 'Delta Mesh · dmeim');
+        assert.equal(site.document.querySelector('.nav-link.active').dataset.page, 'tools');
+        assert.deepEqual(Array.from(site.document.querySelectorAll('.tool-detail-facts .link-warning'), warning => warning.parentElement.previousElementSibling.textContent), ['Source']);
+    });
+
+    it('shows a not-found message for an unknown utility slug', async () => {
+        site = await startAt('#tools/nothing-here');
+        assert.match(site.pageText(), /Utility not found/);
+    });
+
+    it('round-trips hashes through parseHash and buildHash', async () => {
+        site = await loadApp();
+        const router = new site.app.Router();
+        ['#tools?tags=vpn,-commercial&q=wire', '#tools/proton-vpn', '#compare?tools=A,B'].forEach(hash => {
+            const { page, params } = router.parseHash(hash);
+            assert.equal(router.buildHash(page, params), hash);
+        });
+    });
+
+    describe('registered routes', () => {
+        // A router with an extra "tag/:name" route, started at the given hash
+        async function startWithRoute(hash, options = {}) {
+            site = await loadApp({ hash });
+            const router = new site.app.Router();
+            router.addRoute('tag', {
+                path: 'tags/:name',
+                section: 'tools',
+                title: () => `Tag ${router.currentParams.name}`,
+                description: 'Utilities with one tag.',
+                render() {
+                    return `<h1 class="page-title" tabindex="-1">Tagged ${this.currentParams.name}</h1>`;
+                },
+                ...options
+            });
+            site.window.router = router;
+            return router;
+        }
+
+        it('matches path patterns and fills them back in', async () => {
+            const router = await startWithRoute('#tags/e2ee?sort=name');
+            await router.init();
+            assert.equal(router.currentPage, 'tag');
+            assert.equal(router.currentParams.name, 'e2ee');
+            assert.equal(router.currentParams.sort, 'name');
+            assert.equal(site.document.title, 'Tag e2ee · dmeim');
+            assert.equal(site.document.querySelector('.nav-link.active').dataset.page, 'tools');
+            assert.equal(router.buildHash('tag', { name: 'a b', q: 'x' }), '#tags/a%20b?q=x');
+            assert.deepEqual(Object.entries(router.parseHash('#tags/a%20b').params), [['name', 'a b']]);
+        });
+
+        it('lets a before hook redirect', async () => {
+            const router = await startWithRoute('#tags/chat', {
+                before: ({ params }) => (params.name === 'chat' ? { page: 'tag', params: { name: 'messaging' } } : undefined)
+            });
+            await router.init();
+            assert.equal(router.currentParams.name, 'messaging');
+            assert.equal(site.window.location.hash, '#tags/messaging');
+        });
+
+        it('lets a before hook keep the current page', async () => {
+            const router = await startWithRoute('#home');
+            await router.init();
+            router.beforeEach(({ page, from }) => !(page === 'tag' && from === 'home'));
+
+            await router.navigateTo('tag', { name: 'vpn' });
+            assert.equal(router.currentPage, 'home');
+            assert.equal(site.window.location.hash, '#home');
+        });
+
+        it('runs after hooks once the page is on screen', async () => {
+            const seen = [];
+            const router = await startWithRoute('#home', {
+                after: ({ params }) => seen.push(`route:${site.document.querySelector('.page-title').textContent}:${params.name}`)
+            });
+            router.afterEach(({ page }) => seen.push(`all:${page}`));
+            await router.init();
+            await router.navigateTo('tag', { name: 'vpn' });
+            assert.deepEqual(seen, ['all:home', 'all:tag', 'route:Tagged vpn:vpn']);
+        });
+
+        it('loads page modules on first visit and marks the page busy meanwhile', async () => {
+            let finishLoading;
+            let loads = 0;
+            const router = await startWithRoute('#home', {
+                render: undefined,
+                load: () => {
+                    loads++;
+                    return new Promise(resolve => {
+                        finishLoading = () => resolve({ default: () => '<h1 class="page-title" tabindex="-1">Lazy</h1>' });
+                    });
+                }
+            });
+            await router.init();
+            const pageContent = site.document.getElementById('page-content');
+
+            const navigation = router.navigateTo('tag', { name: 'vpn' });
+            await new Promise(resolve => setTimeout(resolve));
+            assert.equal(pageContent.getAttribute('aria-busy'), 'true');
+            assert.match(pageContent.textContent, /Welcome/);
+
+            finishLoading();
+            await navigation;
+            assert.equal(pageContent.hasAttribute('aria-busy'), false);
+            assert.equal(pageContent.textContent, 'Lazy');
+
+            await router.navigateTo('home');
+            await router.navigateTo('tag', { name: 'e2ee' });
+            assert.equal(loads, 1);
+        });
+
+        it('shows an error page when a page module fails to load', async () => {
+            const router = await startWithRoute('#tags/vpn', {
+                render: undefined,
+                load: async () => {
+                    throw new Error('Network unavailable');
+                }
+            });
+            await router.init();
+            assert.match(site.document.getElementById('page-content').textContent, /Couldn't load this page\s+Network unavailable/);
+            assert.equal(site.document.querySelector('.status-panel a').dataset.params, 'name=vpn');
+        });
+
+        it('keeps the newest page when an earlier one finishes loading last', async () => {
+            let finishSlowPage;
+            const router = await startWithRoute('#home', {
+                render: () => new Promise(resolve => {
+                    finishSlowPage = () => resolve('<h1 class="page-title" tabindex="-1">Slow</h1>');
+                })
+            });
+            await router.init();
+
+            const slow = router.navigateTo('tag', { name: 'vpn' });
+            await new Promise(resolve => setTimeout(resolve));
+            await router.navigateTo('projects');
+            finishSlowPage();
+            await slow;
+            assert.equal(router.currentPage, 'projects');
+            assert.match(site.document.getElementById('page-content').textContent, /Projects/);
+        });
+    });
+
+    it('restores the scroll position when going back to a page', async () => {
+        site = await startAt('#tools');
+        const scrolledTo = [];
+        site.window.scrollTo = (x, y) => scrolledTo.push(y);
+        Object.defineProperty(site.window, 'scrollY', { value: 640, configurable: true });
+
+        await site.router.navigateTo('projects');
+        Object.defineProperty(site.window, 'scrollY', { value: 0, configurable: true });
+        site.window.history.replaceState(null, '', '#tools');
+        await site.router.handleRoute();
+
+        assert.deepEqual(scrolledTo, [0, 640]);
+        assert.equal(site.router.currentPage, 'tools');
+    });
+});
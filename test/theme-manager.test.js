@@ -0,0 +1,107 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createMatchMedia } = require('./helpers/load-app');
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+// A ThemeManager with its own storage and system settings
+async function createThemeManager({ saved, media = {} } = {}) {
+    const site = await loadApp();
+    const storage = new Map(saved ? [['theme', saved]] : []);
+    const matchMedia = createMatchMedia(media);
+    const themeManager = new site.app.ThemeManager({
+        storage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, value),
+            removeItem: key => storage.delete(key)
+        },
+        matchMedia
+    });
+    const root = site.document.documentElement;
+    return { ...site, themeManager, storage, matchMedia, root };
+}
+
+describe('ThemeManager', () => {
+    let site;
+
+    afterEach(() => site && site.close());
+
+    it('follows the system light/dark setting when nothing is saved', async () => {
+        site = await createThemeManager({ media: { [DARK_QUERY]: true } });
+        assert.equal(site.themeManager.preference, 'system');
+        assert.equal(site.root.dataset.theme, 'dark');
+        assert.equal(site.root.dataset.colorScheme, 'dark');
+    });
+
+    it('uses high contrast when the system asks for more contrast', async () => {
+        site = await createThemeManager({ media: { [CONTRAST_QUERY]: true } });
+        assert.equal(site.root.dataset.theme, 'high-contrast');
+        assert.equal(site.root.dataset.colorScheme, 'dark');
+    });
+
+    it('updates with the system while following it', async () => {
+        site = await createThemeManager();
+        assert.equal(site.root.dataset.theme, 'light');
+
+        site.matchMedia.set(DARK_QUERY, true);
+        assert.equal(site.root.dataset.theme, 'dark');
+    });
+
+    it('restores a saved theme over the system setting', async () => {
+        site = await createThemeManager({ saved: 'sepia', media: { [DARK_QUERY]: true } });
+        assert.equal(site.themeManager.preference, 'sepia');
+        assert.equal(site.root.dataset.theme, 'sepia');
+        assert.equal(site.root.dataset.colorScheme, 'light');
+    });
+
+    it('ignores an unknown saved theme', async () => {
+        site = await createThemeManager({ saved: 'neon' });
+        assert.equal(site.themeManager.preference, 'system');
+        assert.equal(site.root.dataset.theme, 'light');
+    });
+
+    it('saves an explicit choice and stops following the system', async () => {
+        site = await createThemeManager();
+        site.themeManager.setPreference('oled');
+        assert.equal(site.storage.get('theme'), 'oled');
+
+        site.matchMedia.set(DARK_QUERY, false);
+        site.matchMedia.set(CONTRAST_QUERY, true);
+        assert.equal(site.root.dataset.theme, 'oled');
+    });
+
+    it('clears the saved choice when set back to follow the system', async () => {
+        site = await createThemeManager({ saved: 'dark' });
+        site.themeManager.setPreference('system');
+        assert.equal(site.storage.has('theme'), false);
+        assert.equal(site.root.dataset.theme, 'light');
+
+        site.matchMedia.set(DARK_QUERY, true);
+        assert.equal(site.root.dataset.theme, 'dark');
+    });
+
+    it('rejects unknown themes', async () => {
+        site = await createThemeManager({ saved: 'dark' });
+        site.themeManager.setPreference('neon');
+        assert.equal(site.themeManager.preference, 'dark');
+        assert.equal(site.storage.get('theme'), 'dark');
+    });
+
+    it('toggles between the light and dark families and saves the result', async () => {
+        site = await createThemeManager({ saved: 'high-contrast' });
+        site.themeManager.toggleTheme();
+        assert.equal(site.root.dataset.theme, 'light');
+        assert.equal(site.storage.get('theme'), 'light');
+
+        site.themeManager.toggleTheme();
+        assert.equal(site.root.dataset.theme, 'dark');
+    });
+
+    it('marks the current preference in the theme menu', async () => {
+        site = await createThemeManager({ saved: 'sepia' });
+        const checked = site.document.querySelector('#theme-menu [aria-checked="true"]');
+        assert.equal(checked.dataset.themeChoice, 'sepia');
+        assert.equal(site.document.querySelector('.theme-icon').textContent, '📜');
+    });
+});